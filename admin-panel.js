@@ -365,22 +365,12 @@ FOR ALL USING (true);
             return;
         }
         
-        const formData = new FormData();
-        formData.append('csvFile', file);
-        
         try {
-            const response = await fetch('csv-handler.php?action=upload', {
-                method: 'POST',
-                body: formData
-            });
-            
-            const result = await response.json();
-            
-            if (result.success) {
+            // Nothing is replaced until the import preview is confirmed
+            const result = await window.DataSourceManager.uploadRoster(file);
+            if (result) {
                 alert(`File uploaded successfully! ${result.attendee_count} attendees loaded.`);
                 this.checkCsvStatus();
-            } else {
-                throw new Error(result.error || 'Upload failed');
             }
         } catch (error) {
             alert('Upload failed: ' + error.message);
@@ -0,0 +1,231 @@
+/**
+ * Attendee Duplicates Module
+ * Finds attendees who are likely the same person, and merges them
+ *
+ * Rosters combined from several registration exports often list someone
+ * twice under a slightly different spelling or email. Pairs are scored on
+ * their names (ignoring case, accents, punctuation and word order, with
+ * small typos allowed), email address, group and table. Used by
+ * Admin → Attendees → Duplicates.
+ *
+ * @module AttendeeDuplicates
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Points for each kind of match; a pair's confidence is their sum, capped at 100
+     */
+    const SCORES = {
+        email: 50,
+        name: 40,
+        similarName: 30,
+        group: 10,
+        table: 10
+    };
+
+    /**
+     * Pairs scoring below this are not listed (the same name alone is enough)
+     */
+    const THRESHOLD = 40;
+
+    /**
+     * Names shorter than this (without spaces) must match exactly
+     */
+    const MIN_FUZZY_LENGTH = 4;
+
+    const AttendeeDuplicates = {
+        SCORES,
+        THRESHOLD,
+
+        /**
+         * The values pairs are compared on
+         *
+         * @param {Object} attendee
+         * @returns {{words: Array<string>, name: string, email: string, group: string, table: string}}
+         *   name is the normalized name words, sorted and joined without spaces
+         */
+        keys(attendee) {
+            const search = window.AttendeeSearch;
+            const name = search.normalize(attendee.attendeeName);
+            const words = name ? name.split(' ').sort() : [];
+            return {
+                words,
+                name: words.join(''),
+                email: window.EmailValidator.sanitize(attendee.email || ''),
+                group: search.normalize(attendee.groupName),
+                table: search.normalize(attendee.tableNumber)
+            };
+        },
+
+        /**
+         * Scores how likely two attendees are the same person
+         *
+         * @param {Object} a - Attendee record
+         * @param {Object} b - Attendee record
+         * @returns {{score: number, reasons: Array<string>}} score from 0 to 100
+         *
+         * @example
+         * AttendeeDuplicates.compare({ attendeeName: 'Jon Smith', tableNumber: '4' }, { attendeeName: 'Smith, John', tableNumber: '4' })
+         * // returns { score: 40, reasons: ['Similar name', 'Same table'] }
+         */
+        compare(a, b) {
+            return this.compareKeys(this.keys(a), this.keys(b));
+        },
+
+        /**
+         * @private
+         */
+        compareKeys(a, b) {
+            const reasons = [];
+            let score = 0;
+
+            if (a.email && a.email === b.email) {
+                score += SCORES.email;
+                reasons.push('Same email');
+            }
+
+            if (a.name && a.name === b.name) {
+                score += SCORES.name;
+                reasons.push('Same name');
+            } else if (a.name.length >= MIN_FUZZY_LENGTH && b.name.length >= MIN_FUZZY_LENGTH) {
+                const maxDistance = Math.min(a.name.length, b.name.length) >= 8 ? 2 : 1;
+                if (window.AttendeeSearch.distance(a.name, b.name, maxDistance) <= maxDistance) {
+                    score += SCORES.similarName;
+                    reasons.push('Similar name');
+                }
+            }
+
+            if (a.group && a.group === b.group && a.group !== 'general') {
+                score += SCORES.group;
+                reasons.push('Same group');
+            }
+
+            if (a.table && a.table === b.table && a.table !== 'general') {
+                score += SCORES.table;
+                reasons.push('Same table');
+            }
+
+            return { score: Math.min(score, 100), reasons };
+        },
+
+        /**
+         * Lists likely duplicate pairs in a roster
+         *
+         * Only attendees sharing an email address or a name word are compared,
+         * so a name misspelled in every word is not found.
+         *
+         * @param {Array<Object>} attendees - Attendee records
+         * @param {Object} [options]
+         * @param {number} [options.threshold] - Lowest score listed
+         * @returns {Array<{first: Object, second: Object, score: number, reasons: Array<string>}>}
+         *   Best match first; first comes before second in the roster
+         */
+        find(attendees, { threshold = THRESHOLD } = {}) {
+            const keys = attendees.map(attendee => this.keys(attendee));
+            const buckets = new Map();
+            const addToBucket = (key, index) => {
+                if (!buckets.has(key)) {
+                    buckets.set(key, []);
+                }
+                buckets.get(key).push(index);
+            };
+
+            keys.forEach((key, index) => {
+                if (key.email) {
+                    addToBucket(`email:${key.email}`, index);
+                }
+                new Set(key.words.filter(word => word.length >= 2)).forEach(word => addToBucket(`word:${word}`, index));
+            });
+
+            const compared = new Set();
+            const pairs = [];
+            buckets.forEach(indexes => {
+                for (let i = 0; i < indexes.length; i++) {
+                    for (let j = i + 1; j < indexes.length; j++) {
+                        const pairKey = `${indexes[i]}:${indexes[j]}`;
+                        if (compared.has(pairKey)) {
+                            continue;
+                        }
+                        compared.add(pairKey);
+
+                        const { score, reasons } = this.compareKeys(keys[indexes[i]], keys[indexes[j]]);
+                        if (score >= threshold) {
+                            pairs.push({ first: attendees[indexes[i]], second: attendees[indexes[j]], score, reasons, order: indexes[i] });
+                        }
+                    }
+                }
+            });
+
+            return pairs
+                .sort((a, b) => b.score - a.score || a.order - b.order)
+                .map(({ order, ...pair }) => pair);
+        },
+
+        /**
+         * Works out the changes that merge one attendee into another
+         *
+         * The kept attendee's details win; empty ones are filled from the other
+         * record. Both records' visits are combined, overlapping ones joined
+         * into one. The merged attendee is present if either was (keeping the
+         * kept record's status when both were), checked out if either has
+         * visits, and otherwise keeps their own status.
+         *
+         * @param {Object} keep - Attendee record to keep
+         * @param {Object} other - Attendee record merged into it (then deleted)
+         * @returns {{fields: Object, checkin: Object|null}} fields to change on the
+         *   kept attendee, and the check-in state to give it (null to leave it as is)
+         */
+        merge(keep, other) {
+            const statuses = window.AttendeeStatuses;
+            const fields = {};
+            window.AttendeeFields.FIELDS.forEach(({ key }) => {
+                const value = String(other[key] ?? '').trim();
+                if (!String(keep[key] ?? '').trim() && value) {
+                    fields[key] = value;
+                }
+            });
+
+            const visits = [];
+            [...statuses.visits(keep), ...statuses.visits(other)]
+                .sort((a, b) => a.in.localeCompare(b.in))
+                .forEach(visit => {
+                    const last = visits[visits.length - 1];
+                    if (last && (!last.out || visit.in <= last.out)) {
+                        // Overlapping visits are one stay, still open if either is
+                        last.out = last.out && visit.out ? (visit.out > last.out ? visit.out : last.out) : null;
+                    } else {
+                        visits.push({ ...visit });
+                    }
+                });
+
+            const keptStatus = keep.status || statuses.PENDING;
+            let status = keptStatus;
+            if (!statuses.isPresent(keptStatus)) {
+                if (statuses.isPresent(other.status)) {
+                    status = other.status;
+                } else if (visits.length > 0) {
+                    status = statuses.CHECKED_OUT;
+                }
+            }
+
+            const current = visits[visits.length - 1];
+            const checkin = {
+                status,
+                checkedInAt: current ? current.in : null,
+                checkedOutAt: current ? current.out : null,
+                visits
+            };
+            const unchanged = status === keptStatus &&
+                JSON.stringify(visits) === JSON.stringify(statuses.visits(keep));
+
+            return { fields, checkin: unchanged ? null : checkin };
+        }
+    };
+
+    // Expose to window object
+    window.AttendeeDuplicates = AttendeeDuplicates;
+
+})(window);
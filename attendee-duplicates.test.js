@@ -0,0 +1,108 @@
+/**
+ * Attendee Duplicates Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runAttendeeDuplicatesTests() {
+    console.log('\nRunning Attendee Duplicates Tests...\n');
+
+    const AttendeeDuplicates = window.AttendeeDuplicates;
+
+    const t1 = '2026-05-01T18:00:00.000Z';
+    const t2 = '2026-05-01T18:30:00.000Z';
+
+    // Scoring
+    TestRunner.test('Matches names regardless of case, accents and word order', () => {
+        const result = AttendeeDuplicates.compare({ attendeeName: 'José García' }, { attendeeName: 'garcia, jose' });
+        TestRunner.assertEqual(result.score, AttendeeDuplicates.SCORES.name);
+        TestRunner.assertEqual(JSON.stringify(result.reasons), JSON.stringify(['Same name']));
+    });
+
+    TestRunner.test('Allows small spelling differences in names', () => {
+        const result = AttendeeDuplicates.compare(
+            { attendeeName: 'Jon Smith', tableNumber: '4' },
+            { attendeeName: 'Smith, John', tableNumber: '4' }
+        );
+        TestRunner.assertEqual(result.score, 40);
+        TestRunner.assertEqual(JSON.stringify(result.reasons), JSON.stringify(['Similar name', 'Same table']));
+        TestRunner.assertEqual(AttendeeDuplicates.compare({ attendeeName: 'Ann Lee' }, { attendeeName: 'Ian Lee' }).score, 0);
+    });
+
+    TestRunner.test('Compares sanitized emails and ignores the default group', () => {
+        const result = AttendeeDuplicates.compare(
+            { attendeeName: 'J. Smith', email: ' Jane@Example.com', groupName: 'General' },
+            { attendeeName: 'Jane Smith', email: 'jane@example.com', groupName: 'General' }
+        );
+        TestRunner.assertEqual(result.score, AttendeeDuplicates.SCORES.email);
+        TestRunner.assertEqual(JSON.stringify(result.reasons), JSON.stringify(['Same email']));
+    });
+
+    TestRunner.test('Caps the score at 100', () => {
+        const attendee = { attendeeName: 'Jane Smith', email: 'jane@example.com', groupName: 'Acme', tableNumber: '4' };
+        TestRunner.assertEqual(AttendeeDuplicates.compare(attendee, { ...attendee }).score, 100);
+    });
+
+    // Finding pairs
+    TestRunner.test('Lists likely duplicates, best match first', () => {
+        const roster = [
+            { id: 1, attendeeName: 'Jane Smith', email: 'jane@example.com', tableNumber: '4' },
+            { id: 2, attendeeName: 'Bob Jones' },
+            { id: 3, attendeeName: 'Jane Smyth', email: 'jane@example.com', tableNumber: '4' },
+            { id: 4, attendeeName: 'Robert Jones' },
+            { id: 5, attendeeName: 'Bob Jones', tableNumber: '7' }
+        ];
+        const pairs = AttendeeDuplicates.find(roster);
+        TestRunner.assertEqual(JSON.stringify(pairs.map(pair => [pair.first.id, pair.second.id, pair.score])),
+            JSON.stringify([[1, 3, 90], [2, 5, 40]]));
+    });
+
+    TestRunner.test('Respects a custom threshold', () => {
+        const roster = [{ id: 1, attendeeName: 'Jane Smith' }, { id: 2, attendeeName: 'Jane Smyth' }];
+        TestRunner.assertEqual(AttendeeDuplicates.find(roster).length, 0);
+        TestRunner.assertEqual(AttendeeDuplicates.find(roster, { threshold: 30 }).length, 1);
+    });
+
+    // Merging
+    TestRunner.test('Keeps the kept details and fills empty ones from the other record', () => {
+        const merge = AttendeeDuplicates.merge(
+            { id: 1, attendeeName: 'Jane Smith', tableNumber: '4', email: '', status: 'pending' },
+            { id: 2, attendeeName: 'Jane Smyth', tableNumber: '5', email: 'jane@example.com', ticketCode: 'TIX-1', status: 'pending' }
+        );
+        TestRunner.assertEqual(JSON.stringify(merge.fields), JSON.stringify({ ticketCode: 'TIX-1', email: 'jane@example.com' }));
+        TestRunner.assertEqual(merge.checkin, null);
+    });
+
+    TestRunner.test('Stays present if either record was, joining overlapping visits', () => {
+        const pending = { id: 1, attendeeName: 'Jane Smith', status: 'pending' };
+        const arrived = { id: 2, attendeeName: 'Jane Smyth', status: 'checked-in', checkedInAt: t2, visits: [{ in: t2, out: null }] };
+        TestRunner.assertEqual(AttendeeDuplicates.merge(pending, arrived).checkin.checkedInAt, t2);
+        TestRunner.assertEqual(AttendeeDuplicates.merge(arrived, pending).checkin, null);
+
+        const earlier = { id: 3, attendeeName: 'Jane Smith', status: 'checked-out', checkedInAt: t1, checkedOutAt: t2 };
+        const merged = AttendeeDuplicates.merge(earlier, arrived).checkin;
+        TestRunner.assertEqual(merged.status, 'checked-in');
+        TestRunner.assertEqual(JSON.stringify(merged.visits), JSON.stringify([{ in: t1, out: null }]));
+        TestRunner.assertEqual(AttendeeDuplicates.merge(arrived, earlier).checkin.checkedInAt, t1);
+    });
+
+    TestRunner.test('Combines separate visits and never takes over a status without one', () => {
+        const t3 = '2026-05-01T20:00:00.000Z';
+        const t4 = '2026-05-01T21:00:00.000Z';
+        const first = { id: 1, attendeeName: 'Jane Smith', status: 'checked-out', visits: [{ in: t3, out: t4 }] };
+        const second = { id: 2, attendeeName: 'Jane Smyth', status: 'checked-out', visits: [{ in: t1, out: t2 }] };
+        const merged = AttendeeDuplicates.merge(first, second).checkin;
+        TestRunner.assertEqual(JSON.stringify(merged.visits), JSON.stringify([{ in: t1, out: t2 }, { in: t3, out: t4 }]));
+        TestRunner.assertEqual(merged.checkedInAt, t3);
+
+        const noShow = { id: 3, attendeeName: 'Jane Smith', status: 'no-show' };
+        TestRunner.assertEqual(AttendeeDuplicates.merge({ id: 4, attendeeName: 'Jane Smith', status: 'pending' }, noShow).checkin, null);
+        TestRunner.assertEqual(AttendeeDuplicates.merge(noShow, second).checkin.status, 'checked-out');
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runAttendeeDuplicatesTests = runAttendeeDuplicatesTests;
+}
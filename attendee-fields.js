@@ -0,0 +1,123 @@
+/**
+ * Attendee Fields Module
+ * The editable attendee fields and their validation
+ *
+ * Used by the attendee editor under Admin → Attendees. Check-in state
+ * (status, times, visits) is not an editable field; it changes through
+ * check-ins only.
+ *
+ * @module AttendeeFields
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Editable fields, in display order
+     */
+    const FIELDS = [
+        { key: 'attendeeName', label: 'Name', required: true, maxLength: 200 },
+        { key: 'tableNumber', label: 'Table', maxLength: 50 },
+        { key: 'groupName', label: 'Group', maxLength: 200 },
+        { key: 'ticketType', label: 'Ticket Type', maxLength: 100 },
+        { key: 'ticketCode', label: 'Ticket Code', maxLength: 200 },
+        { key: 'email', label: 'Email', maxLength: 254 },
+        { key: 'additionalInfo', label: 'Additional Info', maxLength: 1000 }
+    ];
+
+    const AttendeeFields = {
+        FIELDS,
+
+        /**
+         * Trims the editable fields and drops everything else
+         *
+         * @param {Object} attendee - Attendee record or form values
+         * @returns {Object} { attendeeName, tableNumber, ... } as strings
+         */
+        pick(attendee) {
+            const fields = {};
+            FIELDS.forEach(field => {
+                fields[field.key] = String(attendee?.[field.key] ?? '').trim();
+            });
+            return fields;
+        },
+
+        /**
+         * Checks edited fields
+         *
+         * @param {Object} fields - Values from pick()
+         * @param {Object} [options]
+         * @param {Array<Object>} [options.attendees] - The roster, to catch ticket codes already in use
+         * @param {string|number} [options.id] - Id of the attendee being edited (null when adding)
+         * @returns {{valid: boolean, errors: Object<string, string>, fields: Object}}
+         *   errors per field key; fields holds the values to save (email sanitized)
+         */
+        validate(fields, { attendees = [], id = null } = {}) {
+            const errors = {};
+            const values = { ...fields };
+
+            FIELDS.forEach(field => {
+                const value = values[field.key] || '';
+                if (field.required && !value) {
+                    errors[field.key] = `${field.label} is required`;
+                } else if (value.length > field.maxLength) {
+                    errors[field.key] = `${field.label} must be ${field.maxLength} characters or fewer`;
+                }
+            });
+
+            if (values.email && !errors.email) {
+                const result = window.EmailValidator.validate(values.email);
+                if (result.valid) {
+                    values.email = result.sanitized;
+                } else {
+                    errors.email = result.error;
+                }
+            }
+
+            const code = (values.ticketCode || '').toLowerCase();
+            if (code && !errors.ticketCode && attendees.some(attendee =>
+                String(attendee.id) !== String(id) && (attendee.ticketCode || '').trim().toLowerCase() === code)) {
+                errors.ticketCode = 'Another attendee already has this ticket code';
+            }
+
+            return { valid: Object.keys(errors).length === 0, errors, fields: values };
+        },
+
+        /**
+         * The fields that differ between a record and its edited values
+         *
+         * @param {Object} before - Attendee record
+         * @param {Object} after - Values from validate()
+         * @returns {Object} Changed fields only
+         */
+        changes(before, after) {
+            const current = this.pick(before);
+            const changed = {};
+            FIELDS.forEach(field => {
+                if (after[field.key] !== undefined && after[field.key] !== current[field.key]) {
+                    changed[field.key] = after[field.key];
+                }
+            });
+            return changed;
+        },
+
+        /**
+         * Activity log text for an edit
+         *
+         * @param {Object} before - Attendee record
+         * @param {Object} changed - Fields from changes()
+         * @returns {string} e.g. 'Table: "4" → "7"; Email: "" → "a@b.com"'
+         */
+        describe(before, changed) {
+            return FIELDS
+                .filter(field => field.key in changed)
+                .map(field => `${field.label}: "${String(before?.[field.key] ?? '').trim()}" → "${changed[field.key]}"`)
+                .join('; ');
+        }
+    };
+
+    // Expose to window object
+    window.AttendeeFields = AttendeeFields;
+
+})(window);
@@ -0,0 +1,77 @@
+/**
+ * Attendee Fields Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runAttendeeFieldsTests() {
+    console.log('\nRunning Attendee Fields Tests...\n');
+
+    const AttendeeFields = window.AttendeeFields;
+
+    const roster = [
+        { id: 1, attendeeName: 'Jane Smith', tableNumber: '4', ticketCode: 'TIX-100', email: 'jane@example.com', status: 'checked-in' },
+        { id: 2, attendeeName: 'Bob Jones', tableNumber: '7', ticketCode: 'TIX-200', email: '' }
+    ];
+
+    // Picking
+    TestRunner.test('Picks and trims the editable fields only', () => {
+        const fields = AttendeeFields.pick({ ...roster[0], attendeeName: '  Jane Smith ', additionalInfo: null });
+        TestRunner.assertEqual(fields.attendeeName, 'Jane Smith');
+        TestRunner.assertEqual(fields.additionalInfo, '');
+        TestRunner.assertEqual('status' in fields, false);
+        TestRunner.assertEqual(Object.keys(fields).length, AttendeeFields.FIELDS.length);
+    });
+
+    // Validation
+    TestRunner.test('Requires a name', () => {
+        const result = AttendeeFields.validate(AttendeeFields.pick({ tableNumber: '3' }));
+        TestRunner.assertEqual(result.valid, false);
+        TestRunner.assertEqual(result.errors.attendeeName, 'Name is required');
+    });
+
+    TestRunner.test('Validates and sanitizes email with EmailValidator', () => {
+        const bad = AttendeeFields.validate(AttendeeFields.pick({ attendeeName: 'Jane', email: 'jane@' }));
+        TestRunner.assertEqual(bad.valid, false);
+        TestRunner.assertEqual(typeof bad.errors.email, 'string');
+
+        const good = AttendeeFields.validate(AttendeeFields.pick({ attendeeName: 'Jane', email: ' Jane@Example.COM ' }));
+        TestRunner.assertEqual(good.valid, true);
+        TestRunner.assertEqual(good.fields.email, 'jane@example.com');
+    });
+
+    TestRunner.test('An empty email is allowed', () => {
+        TestRunner.assertEqual(AttendeeFields.validate(AttendeeFields.pick({ attendeeName: 'Jane' })).valid, true);
+    });
+
+    TestRunner.test('Limits field length', () => {
+        const result = AttendeeFields.validate(AttendeeFields.pick({ attendeeName: 'Jane', tableNumber: 'x'.repeat(51) }));
+        TestRunner.assertEqual(result.errors.tableNumber, 'Table must be 50 characters or fewer');
+    });
+
+    TestRunner.test('Rejects a ticket code used by someone else', () => {
+        const taken = AttendeeFields.validate({ ...AttendeeFields.pick(roster[1]), ticketCode: 'tix-100' }, { attendees: roster, id: 2 });
+        TestRunner.assertEqual(taken.errors.ticketCode, 'Another attendee already has this ticket code');
+
+        const own = AttendeeFields.validate(AttendeeFields.pick(roster[0]), { attendees: roster, id: 1 });
+        TestRunner.assertEqual(own.valid, true);
+    });
+
+    // Changes
+    TestRunner.test('Lists only the changed fields', () => {
+        const edited = { ...AttendeeFields.pick(roster[0]), tableNumber: '9' };
+        TestRunner.assertEqual(JSON.stringify(AttendeeFields.changes(roster[0], edited)), JSON.stringify({ tableNumber: '9' }));
+        TestRunner.assertEqual(Object.keys(AttendeeFields.changes(roster[0], AttendeeFields.pick(roster[0]))).length, 0);
+    });
+
+    TestRunner.test('Describes changes for the activity log', () => {
+        const text = AttendeeFields.describe(roster[1], { attendeeName: 'Robert Jones', email: 'bob@example.com' });
+        TestRunner.assertEqual(text, 'Name: "Bob Jones" → "Robert Jones"; Email: "" → "bob@example.com"');
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runAttendeeFieldsTests = runAttendeeFieldsTests;
+}
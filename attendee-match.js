@@ -0,0 +1,101 @@
+/**
+ * Attendee Match Module
+ * Pairs up the attendees of two lists that are the same person
+ *
+ * Used wherever one roster is compared with another: the import preview,
+ * the Supabase roster import and carrying check-ins over to a new data
+ * source. Each caller picks a cascade of keys, strongest first; every
+ * attendee is matched by the first key that finds a partner, and each
+ * attendee is matched at most once.
+ *
+ * @module AttendeeMatch
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const AttendeeMatch = {
+        /**
+         * Normalizes a name for comparison
+         *
+         * Underscores count as spaces, as in IDs built from names.
+         *
+         * @param {string} name
+         * @returns {string} e.g. ' Jane  SMITH' -> 'jane smith'
+         */
+        normalizeName(name) {
+            return String(name ?? '').toLowerCase().replace(/[\s_]+/g, ' ').trim();
+        },
+
+        /**
+         * @param {string} email
+         * @returns {string} Trimmed, lowercase email
+         */
+        normalizeEmail(email) {
+            return String(email ?? '').trim().toLowerCase();
+        },
+
+        /**
+         * Match keys to build a cascade from; an attendee without the value has no key
+         */
+        KEYS: {
+            id: attendee => (String(attendee.id ?? '').trim() ? `id:${String(attendee.id).trim().toLowerCase()}` : ''),
+            externalId: attendee => (attendee.externalId ? `external:${String(attendee.externalId).trim().toLowerCase()}` : ''),
+            ticketCode: attendee => (attendee.ticketCode ? `code:${String(attendee.ticketCode).trim().toLowerCase()}` : ''),
+            emailAndName: attendee => (attendee.email && attendee.attendeeName
+                ? `email:${AttendeeMatch.normalizeEmail(attendee.email)}|${AttendeeMatch.normalizeName(attendee.attendeeName)}`
+                : ''),
+            email: attendee => (attendee.email ? `email:${AttendeeMatch.normalizeEmail(attendee.email)}` : ''),
+            nameAndTable: attendee => (attendee.attendeeName
+                ? `name:${AttendeeMatch.normalizeName(attendee.attendeeName)}|${AttendeeMatch.normalizeName(attendee.tableNumber)}`
+                : ''),
+            name: attendee => (attendee.attendeeName ? `name:${AttendeeMatch.normalizeName(attendee.attendeeName)}` : '')
+        },
+
+        /**
+         * Matches attendees of one list to attendees of another
+         *
+         * @param {Array<Object>} from - Attendees looking for a partner
+         * @param {Array<Object>} to - Attendees they can be matched to
+         * @param {Array<Function>} keys - Key functions (see KEYS), strongest first
+         * @param {Object} [options]
+         * @param {Function} [options.prefer] - Picks among several candidates with the same key;
+         *   candidates it accepts come first, otherwise list order decides
+         * @returns {Map<Object, Object>} Partner in `to` of each matched attendee of `from`
+         *
+         * @example
+         * AttendeeMatch.match(incoming, roster, [AttendeeMatch.KEYS.ticketCode, AttendeeMatch.KEYS.name])
+         */
+        match(from, to, keys, { prefer = null } = {}) {
+            const available = new Set(to);
+            const matches = new Map();
+
+            keys.forEach(keyOf => {
+                const byKey = new Map();
+                to.forEach(attendee => {
+                    const key = available.has(attendee) && keyOf(attendee);
+                    if (key) {
+                        byKey.set(key, [...(byKey.get(key) || []), attendee]);
+                    }
+                });
+
+                from.forEach(attendee => {
+                    const key = !matches.has(attendee) && keyOf(attendee);
+                    const candidates = (key && byKey.get(key) || []).filter(candidate => available.has(candidate));
+                    const match = (prefer && candidates.find(prefer)) || candidates[0];
+                    if (match) {
+                        matches.set(attendee, match);
+                        available.delete(match);
+                    }
+                });
+            });
+
+            return matches;
+        }
+    };
+
+    // Expose to window object
+    window.AttendeeMatch = AttendeeMatch;
+
+})(window);
@@ -0,0 +1,64 @@
+/**
+ * Attendee Match Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runAttendeeMatchTests() {
+    console.log('\nRunning Attendee Match Tests...\n');
+
+    const AttendeeMatch = window.AttendeeMatch;
+    const { KEYS } = AttendeeMatch;
+    const partners = matches => JSON.stringify([...matches].map(([from, to]) => [from.attendeeName, to.id]));
+
+    // Normalizing
+    TestRunner.test('Normalizes names and emails', () => {
+        TestRunner.assertEqual(AttendeeMatch.normalizeName(' Jane  SMITH '), 'jane smith');
+        TestRunner.assertEqual(AttendeeMatch.normalizeName('jane_smith'), 'jane smith');
+        TestRunner.assertEqual(AttendeeMatch.normalizeEmail(' Jane@Example.COM '), 'jane@example.com');
+    });
+
+    TestRunner.test('Attendees without a value have no key', () => {
+        TestRunner.assertEqual(KEYS.ticketCode({ ticketCode: '' }), '');
+        TestRunner.assertEqual(KEYS.emailAndName({ email: 'jane@example.com' }), '');
+        TestRunner.assertEqual(KEYS.id({ id: 0 }), 'id:0');
+        TestRunner.assertEqual(KEYS.nameAndTable({ attendeeName: 'Jane Smith', tableNumber: ' 4 ' }), 'name:jane smith|4');
+    });
+
+    // Matching
+    TestRunner.test('Stronger keys win over weaker ones', () => {
+        const to = [
+            { id: 1, attendeeName: 'Jane Smith', ticketCode: '' },
+            { id: 2, attendeeName: 'J. Smith', ticketCode: 'TIX-1' }
+        ];
+        const matches = AttendeeMatch.match([{ attendeeName: 'Jane Smith', ticketCode: 'tix-1' }], to, [KEYS.ticketCode, KEYS.name]);
+        TestRunner.assertEqual(partners(matches), JSON.stringify([['Jane Smith', 2]]));
+    });
+
+    TestRunner.test('Falls back to weaker keys for attendees left over', () => {
+        const to = [{ id: 1, attendeeName: 'Jane Smith' }, { id: 2, attendeeName: 'Bob Jones', email: 'bob@example.com' }];
+        const from = [{ attendeeName: 'Robert Jones', email: 'BOB@example.com' }, { attendeeName: 'jane  smith' }];
+        const matches = AttendeeMatch.match(from, to, [KEYS.email, KEYS.name]);
+        TestRunner.assertEqual(partners(matches), JSON.stringify([['Robert Jones', 2], ['jane  smith', 1]]));
+    });
+
+    TestRunner.test('Matches each attendee at most once, in list order', () => {
+        const to = [{ id: 1, attendeeName: 'Ann Lee' }, { id: 2, attendeeName: 'Ann Lee' }];
+        const from = [{ attendeeName: 'Ann Lee' }, { attendeeName: 'Ann Lee' }, { attendeeName: 'Ann Lee' }];
+        const matches = AttendeeMatch.match(from, to, [KEYS.name]);
+        TestRunner.assertEqual(JSON.stringify([...matches.values()].map(attendee => attendee.id)), JSON.stringify([1, 2]));
+        TestRunner.assertEqual(matches.has(from[2]), false);
+    });
+
+    TestRunner.test('Prefers accepted candidates among equal keys', () => {
+        const to = [{ id: 1, attendeeName: 'Ann Lee', removedAt: '2026-05-01' }, { id: 2, attendeeName: 'Ann Lee' }];
+        const matches = AttendeeMatch.match([{ attendeeName: 'Ann Lee' }], to, [KEYS.name], { prefer: candidate => !candidate.removedAt });
+        TestRunner.assertEqual(partners(matches), JSON.stringify([['Ann Lee', 2]]));
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runAttendeeMatchTests = runAttendeeMatchTests;
+}
@@ -0,0 +1,263 @@
+/**
+ * Attendee Search Module
+ * Ranked, forgiving search for the check-in list
+ *
+ * Matching ignores case, accents and punctuation ("jose" finds "José",
+ * "obrien" finds "O'Brien"), accepts words in any order ("smith j"),
+ * initials ("js" for John Smith) and small typos ("jonson" for Johnson),
+ * and searches name, group, table, email and additional info. Every query
+ * word must match somewhere; results are ranked by how well they matched.
+ *
+ * @module AttendeeSearch
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Score for one query word, by how it matched
+     */
+    const SCORES = {
+        exact: 100,
+        prefix: 80,
+        initials: 60,
+        contains: 50,
+        fuzzy: 35
+    };
+
+    /**
+     * Weight of a match in each field; name matches rank highest
+     */
+    const FIELD_WEIGHTS = {
+        name: 1,
+        group: 0.8,
+        table: 0.8,
+        email: 0.6,
+        info: 0.5
+    };
+
+    /**
+     * Words shorter than this are never typo-matched ("al" must not find "ed")
+     */
+    const MIN_FUZZY_LENGTH = 4;
+
+    // Normalized fields per attendee object, rebuilt when the searchable text changes
+    const indexCache = new WeakMap();
+
+    const AttendeeSearch = {
+        /**
+         * Lowercases, strips accents and drops punctuation
+         *
+         * @param {string} text
+         * @returns {string} Normalized text with single spaces between words
+         *
+         * @example
+         * AttendeeSearch.normalize("José O'Brien-Smith") // returns 'jose obrien smith'
+         */
+        normalize(text) {
+            return String(text ?? '')
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .replace(/['\u2019`]/g, '')
+                .replace(/[^a-z0-9@.]+/g, ' ')
+                .trim();
+        },
+
+        /**
+         * Damerau-Levenshtein (optimal string alignment) distance, giving up once it exceeds max
+         *
+         * @param {string} a
+         * @param {string} b
+         * @param {number} max - Largest distance of interest
+         * @returns {number} Distance, or max + 1 when it is larger than max
+         */
+        distance(a, b, max) {
+            if (Math.abs(a.length - b.length) > max) {
+                return max + 1;
+            }
+
+            let previousPrevious = null;
+            let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let rowMin = i;
+
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                    if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                        value = Math.min(value, previousPrevious[j - 2] + 1);
+                    }
+
+                    current[j] = value;
+                    rowMin = Math.min(rowMin, value);
+                }
+
+                if (rowMin > max) {
+                    return max + 1;
+                }
+
+                previousPrevious = previous;
+                previous = current;
+            }
+
+            return previous[b.length];
+        },
+
+        /**
+         * Builds (or reuses) the normalized search fields of an attendee
+         * @private
+         */
+        getIndex(attendee) {
+            const signature = [
+                attendee.attendeeName, attendee.groupName, attendee.tableNumber,
+                attendee.email, attendee.additionalInfo
+            ].join('\u0000');
+
+            const cached = indexCache.get(attendee);
+            if (cached && cached.signature === signature) {
+                return cached;
+            }
+
+            const name = this.normalize(attendee.attendeeName);
+            const nameWords = name ? name.split(' ') : [];
+            const table = this.normalize(attendee.tableNumber);
+
+            const index = {
+                signature,
+                name,
+                nameWords,
+                initials: nameWords.map(word => word[0]).join(''),
+                fields: [
+                    // The compact name lets "mcdonald" find "Mc Donald"
+                    { weight: FIELD_WEIGHTS.name, words: nameWords.concat(nameWords.length > 1 ? [nameWords.join('')] : []), text: name, fuzzy: true },
+                    { weight: FIELD_WEIGHTS.group, ...this.fieldWords(attendee.groupName), fuzzy: true },
+                    { weight: FIELD_WEIGHTS.table, words: table ? table.split(' ') : [], text: table, fuzzy: false },
+                    { weight: FIELD_WEIGHTS.email, ...this.fieldWords(attendee.email), fuzzy: false },
+                    { weight: FIELD_WEIGHTS.info, ...this.fieldWords(attendee.additionalInfo || attendee.mealChoice), fuzzy: false }
+                ]
+            };
+
+            indexCache.set(attendee, index);
+            return index;
+        },
+
+        /**
+         * @private
+         */
+        fieldWords(value) {
+            const text = this.normalize(value);
+            return { words: text ? text.split(' ') : [], text };
+        },
+
+        /**
+         * Best score for one query word across the attendee's fields
+         * @private
+         */
+        scoreWord(queryWord, index) {
+            let best = 0;
+
+            index.fields.forEach(field => {
+                let score = 0;
+
+                for (const word of field.words) {
+                    if (word === queryWord) {
+                        score = SCORES.exact;
+                        break;
+                    }
+                    if (word.startsWith(queryWord)) {
+                        score = Math.max(score, SCORES.prefix);
+                    }
+                }
+
+                if (score === 0 && field.text.includes(queryWord)) {
+                    score = SCORES.contains;
+                }
+
+                if (score === 0 && field.fuzzy && queryWord.length >= MIN_FUZZY_LENGTH) {
+                    const maxDistance = queryWord.length >= 8 ? 2 : 1;
+                    if (field.words.some(word => this.distance(queryWord, word, maxDistance) <= maxDistance)) {
+                        score = SCORES.fuzzy;
+                    }
+                }
+
+                best = Math.max(best, score * field.weight);
+            });
+
+            // "js" for John Smith
+            if (best < SCORES.initials && queryWord.length >= 2 && index.initials.length >= 2 && index.initials.startsWith(queryWord)) {
+                best = SCORES.initials;
+            }
+
+            return best;
+        },
+
+        /**
+         * Scores an attendee against a query
+         *
+         * @param {Object} attendee - Attendee record
+         * @param {string} query - Raw search text
+         * @returns {number} 0 when any query word is unmatched, higher is a better match
+         */
+        score(attendee, query) {
+            const normalizedQuery = this.normalize(query);
+            if (!normalizedQuery) {
+                return 0;
+            }
+
+            // "table 12" searches for table 12, as the list displays it
+            let queryWords = normalizedQuery.split(' ');
+            if (queryWords.length > 1 && queryWords[0] === 'table') {
+                queryWords = queryWords.slice(1);
+            }
+            const index = this.getIndex(attendee);
+
+            let total = 0;
+            for (const queryWord of queryWords) {
+                const wordScore = this.scoreWord(queryWord, index);
+                if (wordScore === 0) {
+                    return 0;
+                }
+                total += wordScore;
+            }
+
+            let score = total / queryWords.length;
+
+            // Whole-name matches beat word-by-word matches
+            if (index.name === normalizedQuery) {
+                score += 50;
+            } else if (index.name.startsWith(normalizedQuery)) {
+                score += 25;
+            }
+
+            return score;
+        },
+
+        /**
+         * Returns the attendees matching a query, best match first
+         *
+         * @param {Array<Object>} attendees - Attendee records
+         * @param {string} query - Raw search text
+         * @returns {Array<Object>} Matching attendees (ties keep name order)
+         *
+         * @example
+         * AttendeeSearch.search(attendees, 'smith j')
+         */
+        search(attendees, query) {
+            return attendees
+                .map(attendee => ({ attendee, score: this.score(attendee, query) }))
+                .filter(result => result.score > 0)
+                .sort((a, b) => b.score - a.score ||
+                    (a.attendee.attendeeName || '').localeCompare(b.attendee.attendeeName || ''))
+                .map(result => result.attendee);
+        }
+    };
+
+    // Expose to window object
+    window.AttendeeSearch = AttendeeSearch;
+
+})(window);
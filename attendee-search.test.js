@@ -0,0 +1,87 @@
+/**
+ * Attendee Search Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runAttendeeSearchTests() {
+    console.log('\nRunning Attendee Search Tests...\n');
+
+    const AttendeeSearch = window.AttendeeSearch;
+    const attendees = [
+        { attendeeName: 'José García', groupName: 'Acme', tableNumber: '12', email: 'jose@acme.com', additionalInfo: 'Vegetarian' },
+        { attendeeName: 'John Smith', groupName: 'Beta Corp', tableNumber: '3', email: 'js@beta.io', additionalInfo: '' },
+        { attendeeName: 'Mary McDonald', groupName: '', tableNumber: '112', email: '', additionalInfo: 'Vegan' },
+        { attendeeName: "Sean O'Brien", groupName: 'Gamma', tableNumber: '5', email: '', additionalInfo: '' },
+        { attendeeName: 'Tom Johnson', groupName: 'Gamma', tableNumber: '5', email: '', additionalInfo: '' }
+    ];
+    const names = query => AttendeeSearch.search(attendees, query).map(a => a.attendeeName);
+
+    // Normalization
+    TestRunner.test('Normalizes accents, case and punctuation', () => {
+        TestRunner.assertEqual(AttendeeSearch.normalize("José O'Brien-Smith"), 'jose obrien smith');
+    });
+
+    TestRunner.test('Accent-free query finds accented name', () => {
+        TestRunner.assertEqual(JSON.stringify(names('jose')), JSON.stringify(['José García']));
+    });
+
+    TestRunner.test('Apostrophes are ignored', () => {
+        TestRunner.assertEqual(names('obrien')[0], "Sean O'Brien");
+    });
+
+    TestRunner.test('Case differences inside a name do not matter', () => {
+        TestRunner.assertEqual(names('Mcdonald')[0], 'Mary McDonald');
+    });
+
+    // Word order, initials and typos
+    TestRunner.test('Matches last-name-first input', () => {
+        TestRunner.assertEqual(names('smith j')[0], 'John Smith');
+    });
+
+    TestRunner.test('Matches initials', () => {
+        TestRunner.assertEqual(names('js')[0], 'John Smith');
+    });
+
+    TestRunner.test('Tolerates a one-letter typo', () => {
+        TestRunner.assertEqual(JSON.stringify(names('jonson')), JSON.stringify(['Tom Johnson']));
+    });
+
+    TestRunner.test('Short words are not typo-matched', () => {
+        TestRunner.assertEqual(names('tim').length, 0);
+    });
+
+    TestRunner.test('Every query word must match', () => {
+        TestRunner.assertEqual(names('john xyz').length, 0);
+    });
+
+    // Other fields
+    TestRunner.test('Searches email and additional info', () => {
+        TestRunner.assertEqual(names('acme.com')[0], 'José García');
+        TestRunner.assertEqual(names('vegan')[0], 'Mary McDonald');
+    });
+
+    TestRunner.test('"table 12" searches the table number', () => {
+        TestRunner.assertEqual(names('table 12')[0], 'José García');
+    });
+
+    // Ranking
+    TestRunner.test('Exact name word ranks above a prefix match', () => {
+        TestRunner.assertEqual(JSON.stringify(names('john')), JSON.stringify(['John Smith', 'Tom Johnson']));
+    });
+
+    TestRunner.test('Exact table ranks above a partial table match', () => {
+        TestRunner.assertEqual(JSON.stringify(names('12')), JSON.stringify(['José García', 'Mary McDonald']));
+    });
+
+    TestRunner.test('Distance stops early past the limit', () => {
+        TestRunner.assertEqual(AttendeeSearch.distance('johnson', 'jonhson', 1), 1);
+        TestRunner.assertEqual(AttendeeSearch.distance('smith', 'garcia', 1), 2);
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runAttendeeSearchTests = runAttendeeSearchTests;
+}
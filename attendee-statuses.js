@@ -0,0 +1,265 @@
+/**
+ * Attendee Statuses Module
+ * The configurable list of attendee statuses
+ *
+ * Admins define the statuses (id, label, color) under Admin → Event
+ * Settings and mark which ones count as present. "pending" (not yet
+ * arrived), "checked-in" (what the Check In button sets) and "checked-out"
+ * (what the Check Out button sets) always exist; their labels and colors
+ * can still be changed. Statuses found in the data but missing from the
+ * list are shown under their raw value.
+ *
+ * Each stay between arriving and leaving is kept as a visit
+ * ({ in, out } ISO times), so re-entries keep their full history.
+ *
+ * @module AttendeeStatuses
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const PENDING = 'pending';
+    const CHECKED_IN = 'checked-in';
+    const CHECKED_OUT = 'checked-out';
+
+    /**
+     * Statuses used until an admin saves their own
+     */
+    const DEFAULTS = [
+        { id: PENDING, label: 'Pending', color: '#6b7280', present: false },
+        { id: CHECKED_IN, label: 'Checked In', color: '#10b981', present: true },
+        { id: CHECKED_OUT, label: 'Checked Out', color: '#f97316', present: false }
+    ];
+
+    const FALLBACK_COLOR = '#6b7280';
+
+    // Normalized list for the configured array, rebuilt when the config is replaced
+    let cache = { source: null, list: [] };
+
+    const AttendeeStatuses = {
+        PENDING,
+        CHECKED_IN,
+        CHECKED_OUT,
+        DEFAULTS,
+
+        /**
+         * Turns a label into a status id
+         *
+         * @param {string} label
+         * @returns {string} e.g. 'VIP arrived' -> 'vip-arrived'
+         */
+        slugify(label) {
+            return String(label ?? '')
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '');
+        },
+
+        /**
+         * Cleans up a configured status list
+         *
+         * Drops entries without an id and repeated ids, fills in labels and
+         * colors, and makes sure the built-in statuses exist. Pending and
+         * checked-out are never present and checked-in always is.
+         *
+         * @param {Array<Object>} statuses - Configured statuses
+         * @returns {Array<Object>} Usable status list
+         */
+        normalize(statuses) {
+            const seen = new Set();
+            const list = [];
+
+            (Array.isArray(statuses) ? statuses : []).forEach(status => {
+                const id = this.slugify(status?.id || status?.label);
+                if (!id || seen.has(id)) {
+                    return;
+                }
+                seen.add(id);
+                list.push({
+                    id,
+                    label: String(status.label || id).trim(),
+                    color: /^#[0-9a-f]{6}$/i.test(status.color) ? status.color : FALLBACK_COLOR,
+                    present: id === CHECKED_IN || (id !== PENDING && id !== CHECKED_OUT && status.present === true)
+                });
+            });
+
+            DEFAULTS.forEach((status, index) => {
+                if (!seen.has(status.id)) {
+                    list.splice(index, 0, { ...status });
+                }
+            });
+
+            return list;
+        },
+
+        /**
+         * The configured statuses (shared; copy before changing)
+         *
+         * @returns {Array<Object>} [{ id, label, color, present }]
+         */
+        list() {
+            const source = window.EventCheckinConfig?.statuses || DEFAULTS;
+            if (cache.source !== source) {
+                cache = { source, list: this.normalize(source) };
+            }
+            return cache.list;
+        },
+
+        /**
+         * One status, or a stand-in for values that are not configured
+         *
+         * @param {string} id - Status value
+         * @returns {Object} { id, label, color, present }
+         */
+        get(id) {
+            const value = id || PENDING;
+            return this.list().find(status => status.id === value) ||
+                { id: value, label: value, color: FALLBACK_COLOR, present: false };
+        },
+
+        /**
+         * Whether a status counts as being at the event
+         *
+         * @param {string} id - Status value
+         * @returns {boolean}
+         */
+        isPresent(id) {
+            return this.get(id).present;
+        },
+
+        /**
+         * Whether an attendee is at the event or has been: present now, or
+         * with a visit (checked out included)
+         *
+         * @param {Object} attendee - Attendee record
+         * @returns {boolean}
+         */
+        hasArrived(attendee) {
+            return this.isPresent(attendee?.status) || this.visits(attendee).length > 0;
+        },
+
+        /**
+         * The configured statuses followed by any other status found in the roster
+         *
+         * @param {Array<Object>} attendees - Attendee records
+         * @returns {Array<Object>}
+         */
+        withRoster(attendees) {
+            const list = [...this.list()];
+            const known = new Set(list.map(status => status.id));
+
+            attendees.forEach(attendee => {
+                const id = attendee.status || PENDING;
+                if (!known.has(id)) {
+                    known.add(id);
+                    list.push(this.get(id));
+                }
+            });
+
+            return list;
+        },
+
+        /**
+         * Number of attendees per status, how many are on site and how many have arrived
+         *
+         * @param {Array<Object>} attendees - Attendee records
+         * @returns {{byStatus: Object<string, number>, present: number, arrived: number}}
+         *   present counts present statuses; arrived adds those who have checked out
+         */
+        counts(attendees) {
+            const byStatus = {};
+            let present = 0;
+            const presentIds = new Set(this.list().filter(status => status.present).map(status => status.id));
+
+            attendees.forEach(attendee => {
+                const id = attendee.status || PENDING;
+                byStatus[id] = (byStatus[id] || 0) + 1;
+                if (presentIds.has(id)) {
+                    present++;
+                }
+            });
+
+            return { byStatus, present, arrived: present + (byStatus[CHECKED_OUT] || 0) };
+        },
+
+        /**
+         * An attendee's visits, oldest first (a copy)
+         *
+         * Records saved before visits were kept get one visit built from
+         * their check-in and check-out times.
+         *
+         * @param {Object} attendee - Attendee record
+         * @returns {Array<{in: string, out: string|null}>}
+         */
+        visits(attendee) {
+            if (Array.isArray(attendee?.visits) && attendee.visits.length > 0) {
+                return attendee.visits.map(visit => ({ in: visit.in, out: visit.out || null }));
+            }
+            return attendee?.checkedInAt ? [{ in: attendee.checkedInAt, out: attendee.checkedOutAt || null }] : [];
+        },
+
+        /**
+         * Timestamps to store with a status change
+         *
+         * Arriving (a present status after a non-present one) starts a visit
+         * and leaving closes it. Moving between present statuses keeps the
+         * visit. Going back to pending, or undoing, drops the open visit as
+         * if it never happened; undo then restores the previous visit's times.
+         *
+         * @param {Object} attendee - Attendee record before the change
+         * @param {string} newStatus - Status being applied
+         * @param {Object} [options]
+         * @param {string} [options.now] - ISO time of the change (defaults to now)
+         * @param {boolean} [options.undo] - Whether this undoes the current visit
+         * @returns {{checkedInAt: string|null, checkedOutAt: string|null, visits: Array<Object>}}
+         */
+        transition(attendee, newStatus, { now = new Date().toISOString(), undo = false } = {}) {
+            const visits = this.visits(attendee);
+            const last = visits[visits.length - 1];
+            const open = last && !last.out ? last : null;
+
+            if (undo || !newStatus || newStatus === PENDING) {
+                if (open) {
+                    visits.pop();
+                }
+                if (!undo || visits.length === 0) {
+                    return { checkedInAt: null, checkedOutAt: null, visits };
+                }
+            } else if (this.isPresent(newStatus)) {
+                if (!open || !this.isPresent(attendee?.status)) {
+                    if (open) {
+                        open.out = now;
+                    }
+                    visits.push({ in: now, out: null });
+                }
+            } else if (open) {
+                open.out = now;
+            }
+
+            const current = visits[visits.length - 1];
+            return {
+                checkedInAt: current ? current.in : null,
+                checkedOutAt: current ? current.out : null,
+                visits
+            };
+        },
+
+        /**
+         * Status that Undo returns a present attendee to: checked out when
+         * they had an earlier visit, otherwise pending
+         *
+         * @param {Object} attendee - Attendee record
+         * @returns {string}
+         */
+        undoStatus(attendee) {
+            return this.visits(attendee).some(visit => visit.out) ? CHECKED_OUT : PENDING;
+        }
+    };
+
+    // Expose to window object
+    window.AttendeeStatuses = AttendeeStatuses;
+
+})(window);
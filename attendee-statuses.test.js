@@ -0,0 +1,162 @@
+/**
+ * Attendee Statuses Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runAttendeeStatusesTests() {
+    console.log('\nRunning Attendee Statuses Tests...\n');
+
+    const AttendeeStatuses = window.AttendeeStatuses;
+    const ids = list => JSON.stringify(list.map(status => status.id));
+
+    // Runs a check against a configured status list, then restores the config
+    const withStatuses = (statuses, check) => {
+        const config = window.EventCheckinConfig;
+        window.EventCheckinConfig = { ...(config || {}), statuses };
+        try {
+            check();
+        } finally {
+            window.EventCheckinConfig = config;
+        }
+    };
+
+    const configured = [
+        { id: 'pending', label: 'Not Here Yet', color: '#6b7280', present: false },
+        { id: 'checked-in', label: 'Checked In', color: '#10b981', present: true },
+        { id: 'vip-arrived', label: 'VIP Arrived', color: '#f59e0b', present: true },
+        { id: 'no-show', label: 'No-show', color: '#ef4444', present: false }
+    ];
+
+    // Normalizing
+    TestRunner.test('Slugifies labels into ids', () => {
+        TestRunner.assertEqual(AttendeeStatuses.slugify('VIP Arrived'), 'vip-arrived');
+        TestRunner.assertEqual(AttendeeStatuses.slugify('  Annulé! '), 'annule');
+    });
+
+    TestRunner.test('Missing built-in statuses are added in front', () => {
+        const list = AttendeeStatuses.normalize([{ label: 'No-show', color: '#ef4444' }]);
+        TestRunner.assertEqual(ids(list), JSON.stringify(['pending', 'checked-in', 'checked-out', 'no-show']));
+    });
+
+    TestRunner.test('Drops repeated ids and fixes invalid colors', () => {
+        const list = AttendeeStatuses.normalize([
+            { id: 'cancelled', label: 'Cancelled', color: 'red' },
+            { id: 'cancelled', label: 'Cancelled again', color: '#000000' }
+        ]);
+        const cancelled = list.find(status => status.id === 'cancelled');
+        TestRunner.assertEqual(list.length, 4);
+        TestRunner.assertEqual(cancelled.label, 'Cancelled');
+        TestRunner.assertEqual(cancelled.color, '#6b7280');
+    });
+
+    TestRunner.test('Pending and checked-out are never present and checked-in always is', () => {
+        const list = AttendeeStatuses.normalize([
+            { id: 'pending', present: true },
+            { id: 'checked-in', present: false },
+            { id: 'checked-out', present: true }
+        ]);
+        TestRunner.assertEqual(list[0].present, false);
+        TestRunner.assertEqual(list[1].present, true);
+        TestRunner.assertEqual(list[2].present, false);
+    });
+
+    // Lookups
+    TestRunner.test('Uses the configured labels and presence', () => {
+        withStatuses(configured, () => {
+            TestRunner.assertEqual(AttendeeStatuses.get('pending').label, 'Not Here Yet');
+            TestRunner.assertEqual(AttendeeStatuses.get('').label, 'Not Here Yet');
+            TestRunner.assertEqual(AttendeeStatuses.isPresent('vip-arrived'), true);
+            TestRunner.assertEqual(AttendeeStatuses.isPresent('no-show'), false);
+        });
+    });
+
+    TestRunner.test('Attendees have arrived when present or with a visit', () => {
+        withStatuses(configured, () => {
+            TestRunner.assertEqual(AttendeeStatuses.hasArrived({ status: 'vip-arrived' }), true);
+            TestRunner.assertEqual(AttendeeStatuses.hasArrived({ status: 'checked-out', checkedInAt: '2026-05-01T18:00:00.000Z' }), true);
+            TestRunner.assertEqual(AttendeeStatuses.hasArrived({ status: 'no-show' }), false);
+            TestRunner.assertEqual(AttendeeStatuses.hasArrived({ status: 'pending' }), false);
+        });
+    });
+
+    TestRunner.test('Unconfigured statuses fall back to their raw value', () => {
+        withStatuses(configured, () => {
+            const status = AttendeeStatuses.get('waitlisted');
+            TestRunner.assertEqual(status.label, 'waitlisted');
+            TestRunner.assertEqual(status.present, false);
+        });
+    });
+
+    // Roster
+    TestRunner.test('Roster statuses follow the configured ones', () => {
+        withStatuses(configured, () => {
+            const list = AttendeeStatuses.withRoster([{ status: 'waitlisted' }, { status: 'no-show' }, { status: 'waitlisted' }]);
+            TestRunner.assertEqual(ids(list), JSON.stringify(['pending', 'checked-in', 'checked-out', 'vip-arrived', 'no-show', 'waitlisted']));
+        });
+    });
+
+    TestRunner.test('Counts every present status as checked in', () => {
+        withStatuses(configured, () => {
+            const { byStatus, present, arrived } = AttendeeStatuses.counts([
+                { status: 'checked-in' },
+                { status: 'vip-arrived' },
+                { status: 'checked-out' },
+                { status: 'no-show' },
+                { status: '' },
+                { status: 'pending' }
+            ]);
+            TestRunner.assertEqual(present, 2);
+            TestRunner.assertEqual(arrived, 3);
+            TestRunner.assertEqual(byStatus.pending, 2);
+            TestRunner.assertEqual(byStatus['no-show'], 1);
+        });
+    });
+
+    // Visits
+    const t1 = '2026-05-01T18:00:00.000Z';
+    const t2 = '2026-05-01T19:00:00.000Z';
+    const t3 = '2026-05-01T20:00:00.000Z';
+
+    TestRunner.test('Check-in opens a visit and check-out closes it', () => {
+        const arrived = AttendeeStatuses.transition({ status: 'pending' }, 'checked-in', { now: t1 });
+        TestRunner.assertEqual(JSON.stringify(arrived), JSON.stringify({ checkedInAt: t1, checkedOutAt: null, visits: [{ in: t1, out: null }] }));
+
+        const left = AttendeeStatuses.transition({ status: 'checked-in', ...arrived }, 'checked-out', { now: t2 });
+        TestRunner.assertEqual(JSON.stringify(left), JSON.stringify({ checkedInAt: t1, checkedOutAt: t2, visits: [{ in: t1, out: t2 }] }));
+    });
+
+    TestRunner.test('Re-entry starts a new visit and keeps the history', () => {
+        const attendee = { status: 'checked-out', checkedInAt: t1, checkedOutAt: t2, visits: [{ in: t1, out: t2 }] };
+        const back = AttendeeStatuses.transition(attendee, 'checked-in', { now: t3 });
+        TestRunner.assertEqual(back.checkedInAt, t3);
+        TestRunner.assertEqual(back.checkedOutAt, null);
+        TestRunner.assertEqual(back.visits.length, 2);
+        TestRunner.assertEqual(attendee.visits.length, 1, 'the record passed in should not change');
+    });
+
+    TestRunner.test('Undo drops the open visit and restores the previous one', () => {
+        const attendee = { status: 'checked-in', checkedInAt: t3, visits: [{ in: t1, out: t2 }, { in: t3, out: null }] };
+        TestRunner.assertEqual(AttendeeStatuses.undoStatus(attendee), 'checked-out');
+        TestRunner.assertEqual(JSON.stringify(AttendeeStatuses.transition(attendee, 'checked-out', { now: t3, undo: true })),
+            JSON.stringify({ checkedInAt: t1, checkedOutAt: t2, visits: [{ in: t1, out: t2 }] }));
+
+        const first = { status: 'checked-in', checkedInAt: t1 };
+        TestRunner.assertEqual(AttendeeStatuses.undoStatus(first), 'pending');
+        TestRunner.assertEqual(AttendeeStatuses.transition(first, 'pending', { undo: true }).checkedInAt, null);
+    });
+
+    TestRunner.test('Moving between present statuses keeps the visit', () => {
+        withStatuses(configured, () => {
+            const attendee = { status: 'checked-in', checkedInAt: t1, visits: [{ in: t1, out: null }] };
+            const vip = AttendeeStatuses.transition(attendee, 'vip-arrived', { now: t2 });
+            TestRunner.assertEqual(JSON.stringify(vip.visits), JSON.stringify([{ in: t1, out: null }]));
+        });
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runAttendeeStatusesTests = runAttendeeStatusesTests;
+}
@@ -0,0 +1,200 @@
+/**
+ * Audit Log Module
+ * Builds check-in audit entries (who changed which attendee, when, from
+ * which device and what the previous value was) and filters them for the
+ * admin Activity view
+ *
+ * Entries are stored by the active data source: csv-handler.php appends them
+ * to data/checkin-log.jsonl, Supabase inserts them into check_in_log.
+ *
+ * @module AuditLog
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * localStorage key holding this device's name and current operator
+     */
+    const DEVICE_STORAGE_KEY = 'eventCheckinDevice';
+
+    const AuditLog = {
+        /**
+         * Logged actions, in the order they are offered as filters
+         */
+        ACTIONS: ['check-in', 'check-out', 'undo', 'status', 'walk-in', 'edit', 'reset'],
+
+        /**
+         * Returns this device's name and operator, generating a device name on first use
+         *
+         * @returns {{deviceName: string, operator: string}}
+         */
+        getDevice() {
+            let stored = {};
+            try {
+                stored = JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) || {};
+            } catch (error) {
+                console.warn('AuditLog: ignoring unreadable device settings:', error);
+            }
+
+            if (!stored.deviceName) {
+                const suffix = Math.random().toString(36).slice(2, 6).toUpperCase();
+                stored = { deviceName: `Device ${suffix}`, operator: stored.operator || '' };
+                this.setDevice(stored);
+            }
+
+            return { deviceName: stored.deviceName, operator: stored.operator || '' };
+        },
+
+        /**
+         * Saves this device's name and operator
+         *
+         * @param {{deviceName: string, operator: string}} device
+         */
+        setDevice(device) {
+            const value = {
+                deviceName: (device.deviceName || '').trim(),
+                operator: (device.operator || '').trim()
+            };
+            try {
+                localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(value));
+            } catch (error) {
+                console.warn('AuditLog: failed to save device settings:', error);
+            }
+        },
+
+        /**
+         * Maps a status change to its logged action
+         *
+         * @param {string} newStatus - Status being applied
+         * @returns {string} 'check-in', 'check-out', 'undo' (back to pending) or 'status' (any other status)
+         */
+        actionForStatus(newStatus) {
+            if (newStatus === 'checked-in') {
+                return 'check-in';
+            }
+            if (newStatus === 'checked-out') {
+                return 'check-out';
+            }
+            return !newStatus || newStatus === 'pending' ? 'undo' : 'status';
+        },
+
+        /**
+         * Builds an audit entry stamped with this device and the current time
+         *
+         * @param {string} action - One of ACTIONS
+         * @param {Object} [details]
+         * @param {string|number} [details.attendeeId]
+         * @param {string} [details.attendeeName]
+         * @param {string} [details.previousStatus]
+         * @param {string} [details.newStatus]
+         * @param {string} [details.details] - Free-text description (e.g. edited fields)
+         * @returns {Object} Audit entry
+         *
+         * @example
+         * AuditLog.createEntry('check-in', { attendeeId: 12, previousStatus: 'pending', newStatus: 'checked-in' })
+         */
+        createEntry(action, details = {}) {
+            const device = this.getDevice();
+            return {
+                action,
+                attendeeId: details.attendeeId ?? null,
+                attendeeName: details.attendeeName || null,
+                previousStatus: details.previousStatus || null,
+                newStatus: details.newStatus || null,
+                details: details.details || null,
+                deviceName: device.deviceName,
+                operator: device.operator || null,
+                performedAt: new Date().toISOString()
+            };
+        },
+
+        /**
+         * Converts an entry to a check_in_log row
+         *
+         * @param {Object} entry - Entry from createEntry()
+         * @returns {Object} Supabase row
+         */
+        toSupabaseRow(entry) {
+            return {
+                attendee_id: entry.attendeeId,
+                attendee_name: entry.attendeeName,
+                action: entry.action,
+                previous_status: entry.previousStatus,
+                new_status: entry.newStatus,
+                details: entry.details,
+                device_name: entry.deviceName,
+                operator: entry.operator,
+                performed_at: entry.performedAt,
+                user_agent: navigator.userAgent
+            };
+        },
+
+        /**
+         * Converts a check_in_log row back to an entry
+         *
+         * @param {Object} row - Supabase row
+         * @returns {Object} Audit entry
+         */
+        fromSupabaseRow(row) {
+            return {
+                id: row.id,
+                action: row.action,
+                attendeeId: row.attendee_id,
+                attendeeName: row.attendee_name,
+                previousStatus: row.previous_status,
+                newStatus: row.new_status,
+                details: row.details,
+                deviceName: row.device_name,
+                operator: row.operator,
+                performedAt: row.performed_at,
+                userAgent: row.user_agent
+            };
+        },
+
+        /**
+         * Filters entries for display
+         *
+         * @param {Array<Object>} entries - Audit entries
+         * @param {Object} [filters]
+         * @param {string} [filters.action] - Exact action
+         * @param {string} [filters.search] - Matches attendee name or ID (case-insensitive)
+         * @param {string} [filters.deviceName] - Exact device name
+         * @param {string} [filters.operator] - Exact operator
+         * @param {string} [filters.from] - Earliest date (YYYY-MM-DD, inclusive)
+         * @param {string} [filters.to] - Latest date (YYYY-MM-DD, inclusive)
+         * @returns {Array<Object>} Matching entries, newest first
+         */
+        filter(entries, filters = {}) {
+            const search = (filters.search || '').trim().toLowerCase();
+            const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+            const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+
+            return entries
+                .filter(entry => {
+                    if (filters.action && entry.action !== filters.action) return false;
+                    if (filters.deviceName && entry.deviceName !== filters.deviceName) return false;
+                    if (filters.operator && entry.operator !== filters.operator) return false;
+
+                    if (search) {
+                        const haystack = `${entry.attendeeName || ''} ${entry.attendeeId ?? ''}`.toLowerCase();
+                        if (!haystack.includes(search)) return false;
+                    }
+
+                    if (from !== null || to !== null) {
+                        const time = new Date(entry.performedAt).getTime();
+                        if (from !== null && time < from) return false;
+                        if (to !== null && time > to) return false;
+                    }
+
+                    return true;
+                })
+                .sort((a, b) => new Date(b.performedAt) - new Date(a.performedAt));
+        }
+    };
+
+    // Expose to window object
+    window.AuditLog = AuditLog;
+
+})(window);
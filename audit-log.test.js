@@ -0,0 +1,97 @@
+/**
+ * Audit Log Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runAuditLogTests() {
+    console.log('\nRunning Audit Log Tests...\n');
+
+    const AuditLog = window.AuditLog;
+    const entries = [
+        { action: 'check-in', attendeeId: 1, attendeeName: 'Jo Smith', deviceName: 'Door 1', operator: 'Sam', performedAt: '2026-03-01T18:05:00Z' },
+        { action: 'undo', attendeeId: 1, attendeeName: 'Jo Smith', deviceName: 'Door 2', operator: 'Alex', performedAt: '2026-03-01T18:10:00Z' },
+        { action: 'walk-in', attendeeId: 'walkin_x1', attendeeName: 'Pat Lee', deviceName: 'Door 1', operator: 'Sam', performedAt: '2026-03-02T09:00:00Z' }
+    ];
+
+    // Actions
+    TestRunner.test('Check-in status maps to the check-in action', () => {
+        TestRunner.assertEqual(AuditLog.actionForStatus('checked-in'), 'check-in');
+    });
+
+    TestRunner.test('Checked-out maps to check-out', () => {
+        TestRunner.assertEqual(AuditLog.actionForStatus('checked-out'), 'check-out');
+    });
+
+    TestRunner.test('Pending maps to undo', () => {
+        TestRunner.assertEqual(AuditLog.actionForStatus('pending'), 'undo');
+    });
+
+    TestRunner.test('Configured statuses map to the status action', () => {
+        TestRunner.assertEqual(AuditLog.actionForStatus('no-show'), 'status');
+    });
+
+    // Entries
+    TestRunner.test('createEntry stamps device, operator and time', () => {
+        const savedDevice = localStorage.getItem('eventCheckinDevice');
+        AuditLog.setDevice({ deviceName: 'Front Desk', operator: 'Sam' });
+        const entry = AuditLog.createEntry('check-in', { attendeeId: 7, previousStatus: 'pending', newStatus: 'checked-in' });
+        if (savedDevice === null) {
+            localStorage.removeItem('eventCheckinDevice');
+        } else {
+            localStorage.setItem('eventCheckinDevice', savedDevice);
+        }
+
+        TestRunner.assertEqual(entry.deviceName, 'Front Desk');
+        TestRunner.assertEqual(entry.operator, 'Sam');
+        TestRunner.assertEqual(entry.previousStatus, 'pending');
+        TestRunner.assert(!isNaN(Date.parse(entry.performedAt)), 'performedAt should be an ISO date');
+    });
+
+    TestRunner.test('Supabase rows round-trip', () => {
+        const entry = AuditLog.createEntry('undo', { attendeeId: 3, attendeeName: 'Jo', previousStatus: 'checked-in', newStatus: 'pending' });
+        const back = AuditLog.fromSupabaseRow(AuditLog.toSupabaseRow(entry));
+        TestRunner.assertEqual(back.attendeeId, 3);
+        TestRunner.assertEqual(back.action, 'undo');
+        TestRunner.assertEqual(back.previousStatus, 'checked-in');
+        TestRunner.assertEqual(back.deviceName, entry.deviceName);
+    });
+
+    // Filtering
+    TestRunner.test('No filters returns everything, newest first', () => {
+        const result = AuditLog.filter(entries);
+        TestRunner.assertEqual(result.length, 3);
+        TestRunner.assertEqual(result[0].action, 'walk-in');
+    });
+
+    TestRunner.test('Filters by action', () => {
+        TestRunner.assertEqual(AuditLog.filter(entries, { action: 'undo' }).length, 1);
+    });
+
+    TestRunner.test('Search matches attendee name case-insensitively', () => {
+        TestRunner.assertEqual(AuditLog.filter(entries, { search: 'jo smith' }).length, 2);
+    });
+
+    TestRunner.test('Search matches attendee ID', () => {
+        TestRunner.assertEqual(AuditLog.filter(entries, { search: 'walkin_x1' }).length, 1);
+    });
+
+    TestRunner.test('Filters by device and operator', () => {
+        TestRunner.assertEqual(AuditLog.filter(entries, { deviceName: 'Door 1', operator: 'Sam' }).length, 2);
+        TestRunner.assertEqual(AuditLog.filter(entries, { deviceName: 'Door 1', operator: 'Alex' }).length, 0);
+    });
+
+    TestRunner.test('Date range is inclusive of whole days', () => {
+        const day = new Date('2026-03-01T18:05:00Z');
+        const pad = n => String(n).padStart(2, '0');
+        const localDate = `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+        const result = AuditLog.filter(entries.slice(0, 2), { from: localDate, to: localDate });
+        TestRunner.assertEqual(result.length, 2);
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runAuditLogTests = runAuditLogTests;
+}
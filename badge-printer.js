@@ -0,0 +1,197 @@
+/**
+ * Badge Printer Module
+ * Renders attendee name badges from an editable template and prints them
+ * on label printers
+ *
+ * Templates are plain text, one badge line per template line, with
+ * {{field}} placeholders. A line is left out when any of its fields is
+ * empty, so "Table {{tableNumber}}" disappears for unseated guests. The
+ * first line is printed as the headline. Each badge is printed on its own
+ * page sized to the label (see badge-print.css).
+ *
+ * @module BadgePrinter
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Label sizes offered in the admin dashboard (width × height, landscape)
+     */
+    const LABEL_SIZES = {
+        '4x3': { name: '4 × 3 in (Zebra, Avery badge inserts)', width: '4in', height: '3in' },
+        '4x2.25': { name: '4 × 2¼ in (DYMO 30857 badge label)', width: '4in', height: '2.25in' },
+        '3.375x2.125': { name: '3⅜ × 2⅛ in (DYMO 30856 badge card)', width: '3.375in', height: '2.125in' },
+        '100x62mm': { name: '100 × 62 mm (Brother DK-11202 / DK-22205)', width: '100mm', height: '62mm' }
+    };
+
+    /**
+     * Badge settings used until an admin saves their own
+     */
+    const DEFAULTS = {
+        printOnCheckIn: false,
+        labelSize: '4x3',
+        showQrCode: true,
+        template: '{{attendeeName}}\n{{groupName}}\nTable {{tableNumber}}\n{{ticketType}}'
+    };
+
+    /**
+     * Placeholders available in templates
+     */
+    const FIELDS = ['attendeeName', 'firstName', 'lastName', 'groupName', 'tableNumber', 'ticketType', 'email', 'additionalInfo', 'eventTitle'];
+
+    const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+    const BadgePrinter = {
+        LABEL_SIZES,
+        DEFAULTS,
+        FIELDS,
+
+        /**
+         * Saved badge settings merged over the defaults
+         *
+         * @returns {Object}
+         */
+        getSettings() {
+            return { ...DEFAULTS, ...(window.EventCheckinConfig?.badges || {}) };
+        },
+
+        /**
+         * Fills a template for one attendee
+         *
+         * @param {string} template - Template text with {{field}} placeholders
+         * @param {Object} attendee - Attendee record
+         * @param {Object} [extra] - Additional values, e.g. { eventTitle }
+         * @returns {Array<string>} Badge lines, without lines that had an empty field
+         *
+         * @example
+         * BadgePrinter.renderLines('{{firstName}}\nTable {{tableNumber}}', { attendeeName: 'Jo Smith' })
+         * // returns ['Jo']
+         */
+        renderLines(template, attendee, extra = {}) {
+            const words = String(attendee.attendeeName ?? '').trim().split(/\s+/).filter(Boolean);
+            const values = {
+                ...attendee,
+                firstName: words[0] || '',
+                lastName: words.length > 1 ? words[words.length - 1] : '',
+                ...extra
+            };
+
+            return String(template ?? '')
+                .split(/\r?\n/)
+                .map(line => {
+                    let complete = true;
+                    const text = line.replace(PLACEHOLDER, (match, field) => {
+                        const value = String(values[field] ?? '').trim();
+                        if (!value) {
+                            complete = false;
+                        }
+                        return value;
+                    });
+                    return complete ? text.trim() : '';
+                })
+                .filter(Boolean);
+        },
+
+        /**
+         * HTML of one badge
+         *
+         * @param {Object} attendee - Attendee record
+         * @param {Object} [options]
+         * @param {Object} [options.settings] - Badge settings (defaults to getSettings())
+         * @param {string} [options.token] - Ticket token to encode in the QR code
+         * @returns {string}
+         */
+        renderBadge(attendee, { settings = this.getSettings(), token = '' } = {}) {
+            const lines = this.renderLines(settings.template, attendee, {
+                eventTitle: window.EventCheckinConfig?.eventTitle || ''
+            });
+            const qr = settings.showQrCode && token ? this.qrSvg(token) : '';
+
+            return `
+                <div class="badge">
+                    <div class="badge-text">
+                        ${lines.map((line, index) => `<div class="badge-line${index === 0 ? ' badge-headline' : ''}">${window.EmailValidator.escapeHtml(line)}</div>`).join('')}
+                    </div>
+                    ${qr ? `<div class="badge-qr">${qr}</div>` : ''}
+                </div>
+            `;
+        },
+
+        /**
+         * SVG QR code for a token, or '' when the QR library is not loaded
+         * @private
+         */
+        qrSvg(token) {
+            if (typeof window.qrcode !== 'function') {
+                console.warn('QR code library not loaded; printing badge without QR code');
+                return '';
+            }
+            const qr = window.qrcode(0, 'M');
+            qr.addData(token);
+            qr.make();
+            return qr.createSvgTag({ cellSize: 4, margin: 0, scalable: true });
+        },
+
+        /**
+         * Full print document, one badge per label-sized page
+         *
+         * @param {Array<Object>} attendees - Attendees to print
+         * @param {Object} [options]
+         * @param {Object} [options.settings] - Badge settings (defaults to getSettings())
+         * @param {Map<Object, string>} [options.tokens] - Ticket token per attendee, for QR codes
+         * @returns {string}
+         */
+        buildDocument(attendees, { settings = this.getSettings(), tokens = new Map() } = {}) {
+            const size = LABEL_SIZES[settings.labelSize] || LABEL_SIZES[DEFAULTS.labelSize];
+
+            return `<!DOCTYPE html>
+                <html>
+                <head>
+                    <title>Badges</title>
+                    <link rel="stylesheet" href="badge-print.css">
+                    <style>
+                        @page { size: ${size.width} ${size.height}; margin: 0; }
+                        :root { --badge-width: ${size.width}; --badge-height: ${size.height}; }
+                    </style>
+                </head>
+                <body>
+                    ${attendees.map(attendee => this.renderBadge(attendee, { settings, token: tokens.get(attendee) })).join('')}
+                </body>
+                </html>`;
+        },
+
+        /**
+         * Prints badges through a hidden frame, leaving the current page as it is
+         *
+         * @param {Array<Object>} attendees - Attendees to print
+         * @param {Object} [options] - As for buildDocument()
+         */
+        print(attendees, options = {}) {
+            if (attendees.length === 0) {
+                return;
+            }
+
+            const frame = document.createElement('iframe');
+            frame.className = 'badge-print-frame';
+            frame.setAttribute('aria-hidden', 'true');
+            frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+
+            // srcdoc frames resolve badge-print.css against this page, and load fires once it is applied
+            frame.onload = () => {
+                frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+                frame.contentWindow.focus();
+                frame.contentWindow.print();
+                // Some browsers never fire afterprint; don't leave old frames behind
+                setTimeout(() => frame.remove(), 60000);
+            };
+            frame.srcdoc = this.buildDocument(attendees, options);
+            document.body.appendChild(frame);
+        }
+    };
+
+    // Expose to window object
+    window.BadgePrinter = BadgePrinter;
+
+})(window);
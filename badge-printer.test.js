@@ -0,0 +1,63 @@
+/**
+ * Badge Printer Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runBadgePrinterTests() {
+    console.log('\nRunning Badge Printer Tests...\n');
+
+    const BadgePrinter = window.BadgePrinter;
+    const jo = { attendeeName: 'Jo Anne Smith', groupName: 'Acme', tableNumber: '4', ticketType: 'VIP' };
+    const settings = { ...BadgePrinter.DEFAULTS, showQrCode: false };
+
+    // Templates
+    TestRunner.test('Default template fills every line', () => {
+        const lines = BadgePrinter.renderLines(BadgePrinter.DEFAULTS.template, jo);
+        TestRunner.assertEqual(JSON.stringify(lines), JSON.stringify(['Jo Anne Smith', 'Acme', 'Table 4', 'VIP']));
+    });
+
+    TestRunner.test('Lines with an empty field are left out', () => {
+        const lines = BadgePrinter.renderLines('{{attendeeName}}\nTable {{tableNumber}}', { attendeeName: 'Pat' });
+        TestRunner.assertEqual(JSON.stringify(lines), JSON.stringify(['Pat']));
+    });
+
+    TestRunner.test('First and last name come from the full name', () => {
+        const lines = BadgePrinter.renderLines('{{ firstName }}\n{{lastName}}', jo);
+        TestRunner.assertEqual(JSON.stringify(lines), JSON.stringify(['Jo', 'Smith']));
+    });
+
+    TestRunner.test('Extra values and plain text lines are kept', () => {
+        const lines = BadgePrinter.renderLines('{{eventTitle}}\nHELLO my name is', jo, { eventTitle: 'Forum' });
+        TestRunner.assertEqual(JSON.stringify(lines), JSON.stringify(['Forum', 'HELLO my name is']));
+    });
+
+    // Rendering
+    TestRunner.test('Badge HTML escapes attendee values', () => {
+        const html = BadgePrinter.renderBadge({ attendeeName: '<b>Eve</b>' }, { settings });
+        TestRunner.assert(html.includes('&lt;b&gt;Eve&lt;/b&gt;'), 'name should be escaped');
+        TestRunner.assert(!html.includes('<b>'), 'no raw markup');
+    });
+
+    TestRunner.test('First line is the headline', () => {
+        const html = BadgePrinter.renderBadge(jo, { settings });
+        TestRunner.assert(/badge-headline">Jo Anne Smith</.test(html), 'name should be the headline');
+    });
+
+    TestRunner.test('Print document is sized to the label, one badge per attendee', () => {
+        const html = BadgePrinter.buildDocument([jo, jo], { settings: { ...settings, labelSize: '100x62mm' } });
+        TestRunner.assert(html.includes('size: 100mm 62mm'), 'page size should match the label');
+        TestRunner.assertEqual(html.split('class="badge"').length - 1, 2);
+    });
+
+    TestRunner.test('Unknown label size falls back to the default', () => {
+        const html = BadgePrinter.buildDocument([jo], { settings: { ...settings, labelSize: 'nope' } });
+        TestRunner.assert(html.includes('size: 4in 3in'), 'default label size expected');
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runBadgePrinterTests = runBadgePrinterTests;
+}
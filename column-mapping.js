@@ -0,0 +1,223 @@
+/**
+ * Column Mapping Module
+ * Reads the header row of CSV, XLSX and Google Sheets imports and maps each
+ * column to an attendee field by matching known header aliases
+ *
+ * Mappings saved by the admin dashboard are stored per data source in
+ * EventCheckinConfig.columnMappings as { field: 'Header Text' } so they keep
+ * working when columns are reordered.
+ *
+ * @module ColumnMapping
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Attendee fields that can be mapped, in display order
+     */
+    const FIELDS = [
+        { key: 'id', label: 'Attendee ID' },
+        { key: 'attendeeName', label: 'Attendee Name' },
+        { key: 'firstName', label: 'First Name' },
+        { key: 'lastName', label: 'Last Name' },
+        { key: 'tableNumber', label: 'Table Number' },
+        { key: 'groupName', label: 'Group Name' },
+        { key: 'ticketCode', label: 'Ticket Code / Barcode' },
+        { key: 'ticketType', label: 'Ticket Type' },
+        { key: 'email', label: 'Email' },
+        { key: 'additionalInfo', label: 'Additional Info' }
+    ];
+
+    /**
+     * Known header spellings per field (compared after normalizeHeader)
+     */
+    const ALIASES = {
+        id: ['id', 'attendee id', 'guest id', 'registration id', 'registrant id', 'confirmation', 'confirmation number', 'order id', 'badge id'],
+        attendeeName: ['name', 'full name', 'attendee', 'attendee name', 'guest', 'guest name', 'participant', 'registrant', 'contact name'],
+        firstName: ['first name', 'first', 'given name', 'forename'],
+        lastName: ['last name', 'last', 'surname', 'family name'],
+        tableNumber: ['table', 'table number', 'table no', 'table num', 'seat', 'seating', 'table assignment', 'seat number'],
+        groupName: ['group', 'group name', 'party', 'party name', 'organization', 'organisation', 'company', 'sponsor', 'org'],
+        ticketCode: ['ticket code', 'ticket id', 'ticket number', 'ticket barcode', 'barcode', 'bar code', 'qr code', 'qr', 'scan code', 'code'],
+        ticketType: ['ticket', 'ticket type', 'type', 'registration type', 'ticket class', 'admission', 'tier'],
+        email: ['email', 'e mail', 'email address', 'e mail address', 'mail'],
+        additionalInfo: ['additional info', 'additional information', 'info', 'notes', 'note', 'meal', 'meal choice', 'dietary', 'dietary restrictions', 'comments']
+    };
+
+    /**
+     * Positional layout used when the header row matches nothing:
+     * table, group, name, ticket, email, info
+     */
+    const DEFAULT_LAYOUT = {
+        tableNumber: 0,
+        groupName: 1,
+        attendeeName: 2,
+        ticketType: 3,
+        email: 4,
+        additionalInfo: 5
+    };
+
+    const ColumnMapping = {
+        FIELDS,
+        ALIASES,
+        DEFAULT_LAYOUT,
+
+        /**
+         * Normalizes a header cell for comparison
+         *
+         * @param {*} header - Raw header cell
+         * @returns {string} Lowercase words separated by single spaces
+         *
+         * @example
+         * ColumnMapping.normalizeHeader(' Table # ') // returns 'table number'
+         */
+        normalizeHeader(header) {
+            return (header ?? '').toString()
+                .replace(/^\uFEFF/, '')
+                .toLowerCase()
+                .replace(/#/g, ' number ')
+                .replace(/[^a-z0-9]+/g, ' ')
+                .replace(/\bno\b|\bnum\b/g, 'number')
+                .trim();
+        },
+
+        /**
+         * Detects the column index of each field from a header row.
+         * Exact alias matches win; remaining fields fall back to headers that
+         * contain a distinctive alias as whole words (e.g. "Guest Full Name").
+         * Short single-word aliases such as "name" are only matched exactly so
+         * "Company Name" is never taken for the attendee name.
+         *
+         * @param {Array} headerRow - First row of the sheet
+         * @returns {Object} Map of field key to column index (unmatched fields omitted)
+         */
+        detect(headerRow) {
+            const headers = (headerRow || []).map(h => this.normalizeHeader(h));
+            const mapping = {};
+            const used = new Set();
+
+            const assign = (matches) => {
+                FIELDS.forEach(({ key }) => {
+                    if (mapping[key] !== undefined) return;
+                    const aliases = ALIASES[key].map(a => this.normalizeHeader(a));
+                    const index = headers.findIndex((header, i) =>
+                        header && !used.has(i) && aliases.some(alias => matches(header, alias))
+                    );
+                    if (index !== -1) {
+                        mapping[key] = index;
+                        used.add(index);
+                    }
+                });
+            };
+
+            assign((header, alias) => header === alias);
+            assign((header, alias) =>
+                (alias.includes(' ') || alias.length >= 5) && ` ${header} `.includes(` ${alias} `)
+            );
+
+            return mapping;
+        },
+
+        /**
+         * Resolves the mapping to use for a sheet: a saved override (by header
+         * text) takes precedence, then detection, then the positional layout
+         *
+         * @param {Array} headerRow - First row of the sheet
+         * @param {Object} [override] - Saved mapping of field key to header text
+         * @returns {{columns: Object, detected: boolean}} Column indexes and whether the header was recognised
+         */
+        resolve(headerRow, override) {
+            const detected = this.detect(headerRow);
+            const columns = { ...detected };
+
+            if (override) {
+                const headers = (headerRow || []).map(h => this.normalizeHeader(h));
+                Object.entries(override).forEach(([key, headerText]) => {
+                    if (!headerText) {
+                        delete columns[key];
+                        return;
+                    }
+                    const index = headers.indexOf(this.normalizeHeader(headerText));
+                    if (index !== -1) {
+                        // A column can only feed one field
+                        Object.keys(columns).forEach(other => {
+                            if (columns[other] === index) delete columns[other];
+                        });
+                        columns[key] = index;
+                    }
+                });
+            }
+
+            const hasName = columns.attendeeName !== undefined ||
+                columns.firstName !== undefined || columns.lastName !== undefined;
+
+            if (!hasName) {
+                return { columns: { ...DEFAULT_LAYOUT }, detected: false };
+            }
+
+            return { columns, detected: true };
+        },
+
+        /**
+         * Reads the attendee fields from a data row
+         *
+         * @param {Array} row - Data row
+         * @param {Object} columns - Column indexes from resolve()
+         * @returns {Object} Trimmed string values for every field
+         */
+        mapRow(row, columns) {
+            const value = (key) => {
+                const index = columns[key];
+                return index === undefined ? '' : (row[index] ?? '').toString().trim();
+            };
+
+            let attendeeName = value('attendeeName');
+            if (!attendeeName) {
+                attendeeName = [value('firstName'), value('lastName')].filter(Boolean).join(' ');
+            }
+
+            return {
+                id: value('id'),
+                tableNumber: value('tableNumber'),
+                groupName: value('groupName'),
+                attendeeName,
+                ticketType: value('ticketType'),
+                ticketCode: value('ticketCode'),
+                email: value('email'),
+                additionalInfo: value('additionalInfo')
+            };
+        },
+
+        /**
+         * Gets the mapping override saved for a data source
+         *
+         * @param {string} sourceKey - 'csv' (file uploads) or 'googlesheets'
+         * @returns {Object|null} Map of field key to header text
+         */
+        getSavedMapping(sourceKey) {
+            return window.EventCheckinConfig?.columnMappings?.[sourceKey] || null;
+        },
+
+        /**
+         * Converts column indexes into a saveable { field: 'Header Text' } mapping
+         *
+         * @param {Array} headerRow - First row of the sheet
+         * @param {Object} columns - Column indexes
+         * @returns {Object}
+         */
+        toHeaderMapping(headerRow, columns) {
+            const mapping = {};
+            FIELDS.forEach(({ key }) => {
+                const index = columns[key];
+                mapping[key] = index === undefined ? '' : (headerRow[index] ?? '').toString().trim();
+            });
+            return mapping;
+        }
+    };
+
+    // Expose to window object
+    window.ColumnMapping = ColumnMapping;
+
+})(window);
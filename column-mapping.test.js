@@ -0,0 +1,77 @@
+/**
+ * Column Mapping Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runColumnMappingTests() {
+    console.log('\nRunning Column Mapping Tests...\n');
+
+    const ColumnMapping = window.ColumnMapping;
+
+    // Header detection
+    TestRunner.test('Normalizes header spellings', () => {
+        TestRunner.assertEqual(ColumnMapping.normalizeHeader(' Table # '), 'table number');
+        TestRunner.assertEqual(ColumnMapping.normalizeHeader('\uFEFFE-Mail'), 'e mail');
+        TestRunner.assertEqual(ColumnMapping.normalizeHeader('Table No.'), 'table number');
+    });
+
+    TestRunner.test('Detects columns by their aliases in any order', () => {
+        const columns = ColumnMapping.detect(['Email Address', 'Company', 'Guest Name', 'Table #', 'Barcode']);
+        TestRunner.assertEqual(JSON.stringify(columns),
+            JSON.stringify({ attendeeName: 2, tableNumber: 3, groupName: 1, ticketCode: 4, email: 0 }));
+    });
+
+    TestRunner.test('Matches distinctive aliases inside longer headers, but not short ones', () => {
+        const columns = ColumnMapping.detect(['Company Name', 'Guest Full Name', 'Dietary Restrictions (if any)']);
+        TestRunner.assertEqual(columns.attendeeName, 1);
+        TestRunner.assertEqual(columns.additionalInfo, 2);
+        TestRunner.assertEqual(columns.groupName, 0);
+        TestRunner.assertEqual(ColumnMapping.detect(['Company Name']).attendeeName, undefined);
+    });
+
+    TestRunner.test('Joins first and last names when there is no name column', () => {
+        const { columns } = ColumnMapping.resolve(['First Name', 'Last Name', 'Table']);
+        const fields = ColumnMapping.mapRow(['Jane', ' Smith ', '4'], columns);
+        TestRunner.assertEqual(fields.attendeeName, 'Jane Smith');
+        TestRunner.assertEqual(fields.tableNumber, '4');
+        TestRunner.assertEqual(fields.email, '');
+    });
+
+    // Fallbacks and overrides
+    TestRunner.test('Falls back to the positional layout without a recognisable header', () => {
+        const result = ColumnMapping.resolve(['4', 'Acme', 'Jane Smith', 'VIP']);
+        TestRunner.assertEqual(result.detected, false);
+        TestRunner.assertEqual(JSON.stringify(result.columns), JSON.stringify(ColumnMapping.DEFAULT_LAYOUT));
+    });
+
+    TestRunner.test('A saved mapping wins over detection and takes the column from other fields', () => {
+        const { columns, detected } = ColumnMapping.resolve(['Name', 'Company', 'Seat'], { groupName: 'Seat', tableNumber: 'company' });
+        TestRunner.assertEqual(detected, true);
+        TestRunner.assertEqual(columns.groupName, 2);
+        TestRunner.assertEqual(columns.tableNumber, 1);
+        TestRunner.assertEqual(JSON.stringify(Object.values(columns).sort()), JSON.stringify([0, 1, 2]));
+    });
+
+    TestRunner.test('A saved mapping can unmap a field and ignores missing headers', () => {
+        const { columns } = ColumnMapping.resolve(['Name', 'Email', 'Table'], { email: '', groupName: 'Organisation' });
+        TestRunner.assertEqual(columns.email, undefined);
+        TestRunner.assertEqual(columns.groupName, undefined);
+        TestRunner.assertEqual(columns.tableNumber, 2);
+    });
+
+    TestRunner.test('Converts column indexes into a saveable header mapping', () => {
+        const headerRow = ['Name', ' Table ', 'Email'];
+        const mapping = ColumnMapping.toHeaderMapping(headerRow, ColumnMapping.detect(headerRow));
+        TestRunner.assertEqual(mapping.attendeeName, 'Name');
+        TestRunner.assertEqual(mapping.tableNumber, 'Table');
+        TestRunner.assertEqual(mapping.ticketCode, '');
+        TestRunner.assertEqual(Object.keys(mapping).length, ColumnMapping.FIELDS.length);
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runColumnMappingTests = runColumnMappingTests;
+}
@@ -87,6 +87,31 @@ window.EventCheckinConfig = {
         proxyUrl: ""
     },
     
+    // Badge printing (edited under Admin → Tickets; see badge-printer.js)
+    badges: {
+        printOnCheckIn: false,
+        labelSize: "4x3",
+        showQrCode: true,
+        template: "{{attendeeName}}\n{{groupName}}\nTable {{tableNumber}}\n{{ticketType}}"
+    },
+    
+    // Attendee statuses (edited under Admin → Event Settings; see attendee-statuses.js)
+    // "present" statuses count towards the checked-in total
+    statuses: [
+        { id: "pending", label: "Pending", color: "#6b7280", present: false },
+        { id: "checked-in", label: "Checked In", color: "#10b981", present: true }
+    ],
+
+    // Sessions of a multi-day or multi-track event, checked in separately (edited under
+    // Admin → Event Settings; see event-sessions.js). Empty = one check-in for the whole event
+    sessions: [],
+
+    // Import column mappings per source (field key -> header text; empty = auto-detect)
+    columnMappings: {
+        csv: {},
+        googlesheets: {}
+    },
+    
     // Default Settings
     defaults: {
         autoRefresh: 5000, // 5 seconds
@@ -21,6 +21,31 @@ $DATA_DIR = __DIR__ . '/data/';
 $ALLOWED_EXTENSIONS = ['csv', 'xlsx'];
 $MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 
+// Known header spellings per attendee field. Must match column-mapping.js;
+// tests/column-aliases.spec.js checks both lists
+$COLUMN_ALIASES = [
+    'id' => ['id', 'attendee id', 'guest id', 'registration id', 'registrant id', 'confirmation', 'confirmation number', 'order id', 'badge id'],
+    'attendeeName' => ['name', 'full name', 'attendee', 'attendee name', 'guest', 'guest name', 'participant', 'registrant', 'contact name'],
+    'firstName' => ['first name', 'first', 'given name', 'forename'],
+    'lastName' => ['last name', 'last', 'surname', 'family name'],
+    'tableNumber' => ['table', 'table number', 'table no', 'table num', 'seat', 'seating', 'table assignment', 'seat number'],
+    'groupName' => ['group', 'group name', 'party', 'party name', 'organization', 'organisation', 'company', 'sponsor', 'org'],
+    'ticketCode' => ['ticket code', 'ticket id', 'ticket number', 'ticket barcode', 'barcode', 'bar code', 'qr code', 'qr', 'scan code', 'code'],
+    'ticketType' => ['ticket', 'ticket type', 'type', 'registration type', 'ticket class', 'admission', 'tier'],
+    'email' => ['email', 'e mail', 'email address', 'e mail address', 'mail'],
+    'additionalInfo' => ['additional info', 'additional information', 'info', 'notes', 'note', 'meal', 'meal choice', 'dietary', 'dietary restrictions', 'comments']
+];
+
+// Positional layout used when the header row is not recognised
+$DEFAULT_COLUMN_LAYOUT = [
+    'tableNumber' => 0,
+    'groupName' => 1,
+    'attendeeName' => 2,
+    'ticketType' => 3,
+    'email' => 4,
+    'additionalInfo' => 5
+];
+
 // Ensure data directory exists
 if (!file_exists($DATA_DIR)) {
     mkdir($DATA_DIR, 0755, true);
@@ -43,12 +68,36 @@ try {
         case 'checkin':
             handleCheckin();
             break;
+        case 'checkinbatch':
+            handleBatchCheckin();
+            break;
         case 'getcheckins':
             handleGetCheckins();
             break;
+        case 'getlog':
+            handleGetLog();
+            break;
         case 'clearcheckins':
             handleClearCheckins();
             break;
+        case 'relinkcheckins':
+            handleRelinkCheckins();
+            break;
+        case 'addattendee':
+            handleAddAttendee();
+            break;
+        case 'getwalkins':
+            echo json_encode(loadWalkIns());
+            break;
+        case 'updateattendee':
+            handleUpdateAttendee();
+            break;
+        case 'deleteattendee':
+            handleDeleteAttendee();
+            break;
+        case 'getedits':
+            echo json_encode((object) loadAttendeeEdits());
+            break;
         case 'getconfig':
             handleGetConfig();
             break;
@@ -61,6 +110,9 @@ try {
         case 'setadminpassword':
             handleSetAdminPassword();
             break;
+        case 'verifyadminpassword':
+            handleVerifyAdminPassword();
+            break;
         default:
             throw new Exception('Invalid action');
     }
@@ -102,13 +154,10 @@ function handleUpload() {
     // Process the file
     $attendeeData = processUploadedFile($file['tmp_name'], $fileExtension);
     
-    // Save as JSON
-    $jsonFile = $DATA_DIR . 'attendees.json';
-    $result = file_put_contents($jsonFile, json_encode($attendeeData, JSON_PRETTY_PRINT));
-    
-    if ($result === false) {
-        throw new Exception('Failed to save data');
-    }
+    // Save as JSON, under the lock attendee edits take (see updateDataFile)
+    updateDataFile('attendees.json', function (&$attendees) use ($attendeeData) {
+        $attendees = $attendeeData;
+    });
     
     // Save metadata
     $metadata = [
@@ -138,7 +187,7 @@ function handleGetData() {
     $jsonFile = $DATA_DIR . 'attendees.json';
     
     if (!file_exists($jsonFile)) {
-        echo json_encode([]);
+        echo json_encode(loadWalkIns());
         return;
     }
     
@@ -152,7 +201,265 @@ function handleGetData() {
         throw new Exception('Invalid JSON data');
     }
     
-    echo json_encode($attendees);
+    // Walk-ins registered at the door are kept separately so re-uploads don't drop them
+    echo json_encode(array_merge($attendees, loadWalkIns()));
+}
+
+/**
+ * Load walk-in attendees added from the check-in screen
+ */
+function loadWalkIns() {
+    global $DATA_DIR;
+    
+    $walkInFile = $DATA_DIR . 'walkins.json';
+    if (!file_exists($walkInFile)) {
+        return [];
+    }
+    
+    return json_decode(file_get_contents($walkInFile), true) ?: [];
+}
+
+/**
+ * Handle walk-in registration from the check-in screen, and attendees added
+ * in Admin → Attendees ("walkIn": false)
+ */
+function handleAddAttendee() {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        throw new Exception('Only POST method allowed for adding attendees');
+    }
+    
+    $input = json_decode(file_get_contents('php://input'), true);
+    $attendeeName = trim($input['attendeeName'] ?? '');
+    
+    if ($attendeeName === '') {
+        throw new Exception('Missing required field: attendeeName');
+    }
+    
+    $email = trim($input['email'] ?? '');
+    if ($email !== '' && !filter_var($email, FILTER_VALIDATE_EMAIL)) {
+        throw new Exception('Invalid email address');
+    }
+    
+    $walkIn = ($input['walkIn'] ?? true) !== false;
+    if (!$walkIn) {
+        requireAdminToken();
+    }
+    
+    $attendee = [
+        'id' => 'walkin_' . base_convert((string) round(microtime(true) * 1000), 10, 36) . bin2hex(random_bytes(2)),
+        'tableNumber' => trim($input['tableNumber'] ?? ''),
+        'groupName' => trim($input['groupName'] ?? ''),
+        'attendeeName' => $attendeeName,
+        'ticketType' => trim($input['ticketType'] ?? ''),
+        'ticketCode' => trim($input['ticketCode'] ?? ''),
+        'email' => strtolower($email),
+        'additionalInfo' => trim($input['additionalInfo'] ?? ''),
+        'status' => 'pending',
+        'checkedInAt' => null,
+        'rowIndex' => null,
+        'walkIn' => $walkIn,
+        'createdAt' => date('c')
+    ];
+    
+    updateDataFile('walkins.json', function (&$walkIns) use ($attendee) {
+        $walkIns[] = $attendee;
+    });
+    
+    if ($walkIn) {
+        appendAuditLog('walk-in', $attendee['id'], $attendeeName, null, 'pending', $input['audit'] ?? []);
+    } else {
+        appendAuditLog('edit', $attendee['id'], $attendeeName, null, 'pending', $input['audit'] ?? [], 'Added');
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'attendee' => $attendee
+    ]);
+}
+
+/**
+ * Verify the admin token sent in the X-Admin-Token header
+ */
+function requireAdminToken() {
+    $adminToken = $_SERVER['HTTP_X_ADMIN_TOKEN'] ?? '';
+    if ($adminToken !== 'admin123') {
+        throw new Exception('Unauthorized: Invalid admin token');
+    }
+}
+
+/**
+ * Load edits made in Admin → Attendees to Google Sheets rows, keyed by
+ * attendee id: changed fields, or {"deleted": true}
+ */
+function loadAttendeeEdits() {
+    global $DATA_DIR;
+    
+    $editsFile = $DATA_DIR . 'attendee-edits.json';
+    if (!file_exists($editsFile)) {
+        return [];
+    }
+    
+    return json_decode(file_get_contents($editsFile), true) ?: [];
+}
+
+/**
+ * Read the editable attendee fields (see attendee-fields.js) from a request
+ */
+function sanitizeAttendeeFields($fields) {
+    $limits = [
+        'attendeeName' => 200,
+        'tableNumber' => 50,
+        'groupName' => 200,
+        'ticketType' => 100,
+        'ticketCode' => 200,
+        'email' => 254,
+        'additionalInfo' => 1000
+    ];
+    
+    $clean = [];
+    foreach ($limits as $field => $maxLength) {
+        if (!array_key_exists($field, $fields)) {
+            continue;
+        }
+        if (!is_scalar($fields[$field]) && $fields[$field] !== null) {
+            throw new Exception("Invalid value for $field");
+        }
+        $value = trim((string) $fields[$field]);
+        if (strlen($value) > $maxLength) {
+            throw new Exception("$field must be $maxLength characters or fewer");
+        }
+        $clean[$field] = $value;
+    }
+    
+    if (isset($clean['attendeeName']) && $clean['attendeeName'] === '') {
+        throw new Exception('Missing required field: attendeeName');
+    }
+    if (isset($clean['email']) && $clean['email'] !== '') {
+        if (!filter_var($clean['email'], FILTER_VALIDATE_EMAIL)) {
+            throw new Exception('Invalid email address');
+        }
+        $clean['email'] = strtolower($clean['email']);
+    }
+    
+    return $clean;
+}
+
+/**
+ * Handle an attendee edit from Admin → Attendees (admin only)
+ *
+ * Body: { attendeeId, fields, target, audit }. Walk-ins and attendees added
+ * in the dashboard are changed in walkins.json. Other attendees are changed
+ * in attendees.json ("target": "roster", uploaded CSV) or recorded in
+ * attendee-edits.json ("target": "overlay", Google Sheets rows, which the
+ * app cannot write back).
+ */
+function handleUpdateAttendee() {
+    global $DATA_DIR;
+    
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        throw new Exception('Only POST method allowed for editing attendees');
+    }
+    
+    requireAdminToken();
+    
+    $input = json_decode(file_get_contents('php://input'), true);
+    if (!$input || !isset($input['attendeeId']) || !isset($input['fields']) || !is_array($input['fields'])) {
+        throw new Exception('Missing required fields: attendeeId, fields');
+    }
+    
+    $attendeeId = (string) $input['attendeeId'];
+    $fields = sanitizeAttendeeFields($input['fields']);
+    $editRow = function (&$rows) use ($attendeeId, $fields) {
+        foreach ($rows as $index => $row) {
+            if ((string) ($row['id'] ?? '') === $attendeeId) {
+                return $rows[$index] = array_merge($row, $fields);
+            }
+        }
+        return null;
+    };
+    
+    $attendee = updateDataFile('walkins.json', $editRow);
+    
+    if ($attendee === null && ($input['target'] ?? '') === 'overlay') {
+        $attendee = updateDataFile('attendee-edits.json', function (&$edits) use ($attendeeId, $fields) {
+            $edits[$attendeeId] = array_merge($edits[$attendeeId] ?? [], $fields);
+            return array_merge(['id' => $attendeeId], $edits[$attendeeId]);
+        }, true);
+    } elseif ($attendee === null) {
+        if (file_exists($DATA_DIR . 'attendees.json')) {
+            $attendee = updateDataFile('attendees.json', $editRow);
+        }
+        if ($attendee === null) {
+            throw new Exception('Attendee not found');
+        }
+    }
+    
+    appendAuditLog('edit', $attendeeId, $attendee['attendeeName'] ?? null, null, null, $input['audit'] ?? []);
+    
+    echo json_encode([
+        'success' => true,
+        'attendee' => $attendee
+    ]);
+}
+
+/**
+ * Handle an attendee deletion from Admin → Attendees (admin only)
+ *
+ * Body: { attendeeId, target, audit }, as for handleUpdateAttendee. The
+ * attendee's check-in record is removed too.
+ */
+function handleDeleteAttendee() {
+    global $DATA_DIR;
+    
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        throw new Exception('Only POST method allowed for deleting attendees');
+    }
+    
+    requireAdminToken();
+    
+    $input = json_decode(file_get_contents('php://input'), true);
+    if (!$input || !isset($input['attendeeId'])) {
+        throw new Exception('Missing required field: attendeeId');
+    }
+    
+    $attendeeId = (string) $input['attendeeId'];
+    $removeRow = function (&$rows) use ($attendeeId) {
+        $removed = [];
+        $rows = array_values(array_filter($rows, function ($row) use ($attendeeId, &$removed) {
+            if ((string) ($row['id'] ?? '') !== $attendeeId) {
+                return true;
+            }
+            $removed[] = $row;
+            return false;
+        }));
+        return $removed;
+    };
+    
+    $removed = updateDataFile('walkins.json', $removeRow);
+    
+    if (!$removed && ($input['target'] ?? '') === 'overlay') {
+        updateDataFile('attendee-edits.json', function (&$edits) use ($attendeeId) {
+            $edits[$attendeeId] = ['deleted' => true];
+        }, true);
+    } elseif (!$removed) {
+        if (file_exists($DATA_DIR . 'attendees.json')) {
+            $removed = updateDataFile('attendees.json', $removeRow);
+        }
+        if (!$removed) {
+            throw new Exception('Attendee not found');
+        }
+    }
+    
+    $checkinName = updateCheckins(function (&$checkins) use ($attendeeId) {
+        $name = $checkins[$attendeeId]['attendeeName'] ?? null;
+        unset($checkins[$attendeeId]);
+        return $name;
+    });
+    $attendeeName = $removed[0]['attendeeName'] ?? $checkinName;
+    
+    appendAuditLog('edit', $attendeeId, $attendeeName, null, null, $input['audit'] ?? [], 'Deleted');
+    
+    echo json_encode(['success' => true]);
 }
 
 /**
@@ -192,10 +499,143 @@ function processUploadedFile($filePath, $extension) {
     return $attendees;
 }
 
+/**
+ * Normalize a header cell for alias comparison (mirrors ColumnMapping.normalizeHeader)
+ */
+function normalizeHeader($header) {
+    $header = preg_replace('/^\xEF\xBB\xBF/', '', (string) $header);
+    $header = strtolower($header);
+    $header = str_replace('#', ' number ', $header);
+    $header = preg_replace('/[^a-z0-9]+/', ' ', $header);
+    $header = preg_replace('/\bno\b|\bnum\b/', 'number', $header);
+    return trim($header);
+}
+
+/**
+ * Detect the column index of each field from a header row
+ */
+function detectColumnMapping($headerRow) {
+    global $COLUMN_ALIASES;
+    
+    $headers = array_map('normalizeHeader', $headerRow);
+    $mapping = [];
+    $used = [];
+    
+    // First pass: exact matches. Second pass: distinctive aliases contained in the header
+    foreach ([true, false] as $exact) {
+        foreach ($COLUMN_ALIASES as $field => $aliases) {
+            if (isset($mapping[$field])) {
+                continue;
+            }
+            foreach ($headers as $index => $header) {
+                if ($header === '' || isset($used[$index])) {
+                    continue;
+                }
+                foreach ($aliases as $alias) {
+                    $alias = normalizeHeader($alias);
+                    $matches = $exact
+                        ? $header === $alias
+                        : ((strpos($alias, ' ') !== false || strlen($alias) >= 5) && strpos(" $header ", " $alias ") !== false);
+                    if ($matches) {
+                        $mapping[$field] = $index;
+                        $used[$index] = true;
+                        break 2;
+                    }
+                }
+            }
+        }
+    }
+    
+    return $mapping;
+}
+
+/**
+ * Resolve the column mapping for an uploaded file: saved admin mapping
+ * (by header text), then detection. Returns null if the first row is not a
+ * recognisable header.
+ */
+function resolveColumnMapping($headerRow) {
+    global $DATA_DIR;
+    
+    $columns = detectColumnMapping($headerRow);
+    
+    $configFile = $DATA_DIR . 'app-config.json';
+    if (file_exists($configFile)) {
+        $config = json_decode(file_get_contents($configFile), true);
+        $override = $config['columnMappings']['csv'] ?? [];
+        $headers = array_map('normalizeHeader', $headerRow);
+        
+        foreach ($override as $field => $headerText) {
+            if (empty($headerText)) {
+                unset($columns[$field]);
+                continue;
+            }
+            $index = array_search(normalizeHeader($headerText), $headers, true);
+            if ($index !== false) {
+                $columns = array_filter($columns, function ($existing) use ($index) {
+                    return $existing !== $index;
+                });
+                $columns[$field] = $index;
+            }
+        }
+    }
+    
+    if (!isset($columns['attendeeName']) && !isset($columns['firstName']) && !isset($columns['lastName'])) {
+        return null;
+    }
+    
+    return $columns;
+}
+
+/**
+ * Read a mapped field from a CSV row
+ */
+function mappedValue($data, $columns, $field) {
+    return isset($columns[$field]) ? trim($data[$columns[$field]] ?? '') : '';
+}
+
+/**
+ * Detect the CSV delimiter from the first lines (mirrors CsvParser.detectDelimiter)
+ */
+function detectCsvDelimiter($filePath) {
+    $sample = [];
+    $handle = fopen($filePath, 'r');
+    while ($handle && count($sample) < 10 && ($line = fgets($handle)) !== false) {
+        if (trim($line) !== '') {
+            $sample[] = $line;
+        }
+    }
+    if ($handle) {
+        fclose($handle);
+    }
+    
+    $best = [',', 0, 0];
+    foreach ([',', ';', "\t", '|'] as $delimiter) {
+        $counts = array_map(function ($line) use ($delimiter) {
+            // Ignore delimiters inside quoted values
+            return substr_count(preg_replace('/"[^"]*"/', '', $line), $delimiter);
+        }, $sample);
+        $count = $counts[0] ?? 0;
+        if ($count === 0) {
+            continue;
+        }
+        $consistent = count(array_filter($counts, function ($c) use ($count) {
+            return $c === $count;
+        }));
+        if ($consistent > $best[1] || ($consistent === $best[1] && $count > $best[2])) {
+            $best = [$delimiter, $consistent, $count];
+        }
+    }
+    
+    return $best[0];
+}
+
 /**
  * Process CSV file
  */
 function processCsvFile($filePath) {
+    global $DEFAULT_COLUMN_LAYOUT;
+    
     $attendees = [];
     $handle = fopen($filePath, 'r');
     
@@ -204,8 +644,10 @@ function processCsvFile($filePath) {
     }
     
     $rowIndex = 1; // Start from 1 (header is row 0)
+    $columns = null;
+    $delimiter = detectCsvDelimiter($filePath);
     
-    while (($data = fgetcsv($handle)) !== false) {
+    while (($data = fgetcsv($handle, 0, $delimiter)) !== false) {
         $rowIndex++;
         
         // Skip empty rows
@@ -213,13 +655,40 @@ function processCsvFile($filePath) {
             continue;
         }
         
+        // Map columns from the header row; files without one use the positional layout
+        if ($columns === null) {
+            $columns = resolveColumnMapping($data);
+            if ($columns !== null) {
+                continue;
+            }
+            $columns = $DEFAULT_COLUMN_LAYOUT;
+        }
+        
+        $attendeeName = mappedValue($data, $columns, 'attendeeName');
+        if ($attendeeName === '') {
+            $attendeeName = trim(mappedValue($data, $columns, 'firstName') . ' ' . mappedValue($data, $columns, 'lastName'));
+        }
+        
+        // Rows without a name are skipped and invalid emails dropped, as the import preview (import-preview.js) reports
+        if ($attendeeName === '') {
+            continue;
+        }
+        $email = strtolower(mappedValue($data, $columns, 'email'));
+        if ($email !== '' && !filter_var($email, FILTER_VALIDATE_EMAIL)) {
+            $email = '';
+        }
+        
         // Normalize attendee data
         $attendee = [
             'id' => 'csv_' . $rowIndex,
-            'tableNumber' => trim($data[0] ?? ''),
-            'groupName' => trim($data[1] ?? ''),
-            'attendeeName' => trim($data[2] ?? ''),
-            'ticketType' => trim($data[3] ?? ''),
+            'tableNumber' => mappedValue($data, $columns, 'tableNumber'),
+            'groupName' => mappedValue($data, $columns, 'groupName'),
+            'attendeeName' => $attendeeName,
+            'ticketType' => mappedValue($data, $columns, 'ticketType'),
+            'ticketCode' => mappedValue($data, $columns, 'ticketCode'),
+            'externalId' => mappedValue($data, $columns, 'id'),
+            'email' => $email,
+            'additionalInfo' => mappedValue($data, $columns, 'additionalInfo'),
             'status' => 'pending',
             'checkedInAt' => null,
             'rowIndex' => $rowIndex
@@ -233,10 +702,7 @@ function processCsvFile($filePath) {
             $attendee['tableNumber'] = 'General';
         }
         
-        // Only include if we have at least one key identifier
-        if (!empty($attendee['attendeeName']) || !empty($attendee['groupName']) || !empty($attendee['tableNumber'])) {
-            $attendees[] = $attendee;
-        }
+        $attendees[] = $attendee;
     }
     
     fclose($handle);
@@ -292,11 +758,49 @@ function validateFileContent($filePath) {
 }
 
 /**
- * Handle check-in status updates
+ * Read, change and save a JSON file in the data directory under an exclusive
+ * lock, so changes from several devices at once never overwrite each other
+ *
+ * $change receives the decoded data by reference; its return value is
+ * passed through. Maps keyed by attendee id are saved with $asObject, so an
+ * empty one is still written as {}.
  */
-function handleCheckin() {
+function updateDataFile($fileName, callable $change, $asObject = false) {
     global $DATA_DIR;
     
+    $handle = fopen($DATA_DIR . $fileName, 'c+');
+    if ($handle === false || !flock($handle, LOCK_EX)) {
+        throw new Exception("Failed to open $fileName");
+    }
+    
+    try {
+        $data = json_decode(stream_get_contents($handle), true) ?: [];
+        $result = $change($data);
+        
+        $json = json_encode($asObject ? (object) $data : $data, JSON_PRETTY_PRINT);
+        if (!ftruncate($handle, 0) || !rewind($handle) || fwrite($handle, $json) !== strlen($json)) {
+            throw new Exception("Failed to save $fileName");
+        }
+        fflush($handle);
+        return $result;
+    } finally {
+        flock($handle, LOCK_UN);
+        fclose($handle);
+    }
+}
+
+/**
+ * Read, change and save data/checkins.json under an exclusive lock (see
+ * updateDataFile); $change receives the check-ins map by reference
+ */
+function updateCheckins(callable $change) {
+    return updateDataFile('checkins.json', $change, true);
+}
+
+/**
+ * Handle check-in status updates
+ */
+function handleCheckin() {
     if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
         throw new Exception('Only POST method allowed for check-ins');
     }
@@ -307,40 +811,229 @@ function handleCheckin() {
         throw new Exception('Missing required fields: attendeeId, status');
     }
     
-    $checkinFile = $DATA_DIR . 'checkins.json';
-    $checkins = [];
+    // Update check-in status
+    $previous = updateCheckins(function (&$checkins) use ($input) {
+        return applyCheckinUpdate($checkins, $input, date('Y-m-d H:i:s'), $_SERVER['HTTP_USER_AGENT'] ?? 'Unknown');
+    });
     
-    // Load existing check-ins
-    if (file_exists($checkinFile)) {
-        $data = file_get_contents($checkinFile);
-        if ($data !== false) {
-            $checkins = json_decode($data, true) ?: [];
+    logStatusChange($input['attendeeId'], $input, $previous);
+    
+    echo json_encode([
+        'success' => true,
+        'message' => 'Check-in status updated',
+        'attendeeId' => $input['attendeeId'],
+        'status' => $input['status']
+    ]);
+}
+
+/**
+ * Build the stored check-in record for one update
+ *
+ * Keeps the latest check-in and check-out times and every visit
+ * ({"in", "out"}), so attendees who leave and come back keep their history.
+ */
+function buildCheckinRecord($update, $previous, $timestamp, $userAgent) {
+    $visits = [];
+    foreach (is_array($update['visits'] ?? null) ? $update['visits'] : [] as $visit) {
+        if (is_array($visit) && isset($visit['in']) && is_string($visit['in'])) {
+            $visits[] = [
+                'in' => $visit['in'],
+                'out' => isset($visit['out']) && is_string($visit['out']) ? $visit['out'] : null
+            ];
         }
     }
     
-    // Update check-in status
-    $checkins[$input['attendeeId']] = [
-        'status' => $input['status'],
-        'checkedInAt' => $input['checkedInAt'] ?? null,
-        'timestamp' => date('Y-m-d H:i:s'),
-        'userAgent' => $_SERVER['HTTP_USER_AGENT'] ?? 'Unknown'
+    return [
+        'status' => $update['status'],
+        'checkedInAt' => $update['checkedInAt'] ?? null,
+        'checkedOutAt' => $update['checkedOutAt'] ?? null,
+        'visits' => $visits,
+        'attendeeName' => $update['attendeeName'] ?? ($previous['attendeeName'] ?? null),
+        'timestamp' => $timestamp,
+        'userAgent' => $userAgent
     ];
+}
+
+/**
+ * Store one update in the check-ins map and return the state it replaced
+ *
+ * Updates with a "session" id go to $checkins[id]['sessions'][session] and
+ * leave the event-wide state as it is.
+ */
+function applyCheckinUpdate(&$checkins, $update, $timestamp, $userAgent) {
+    $attendeeId = $update['attendeeId'];
+    $session = isset($update['session']) && is_string($update['session']) ? $update['session'] : '';
+    
+    if ($session === '') {
+        $previous = $checkins[$attendeeId] ?? null;
+        $record = buildCheckinRecord($update, $previous, $timestamp, $userAgent);
+        if (isset($previous['sessions'])) {
+            $record['sessions'] = $previous['sessions'];
+        }
+        $checkins[$attendeeId] = $record;
+        return $previous;
+    }
     
-    // Save check-ins
-    $result = file_put_contents($checkinFile, json_encode($checkins, JSON_PRETTY_PRINT));
+    if (!isset($checkins[$attendeeId])) {
+        $checkins[$attendeeId] = buildCheckinRecord(['status' => 'pending', 'attendeeName' => $update['attendeeName'] ?? null], null, $timestamp, $userAgent);
+    }
+    $previous = $checkins[$attendeeId]['sessions'][$session] ?? null;
+    $checkins[$attendeeId]['sessions'][$session] = buildCheckinRecord($update, $previous, $timestamp, $userAgent);
+    return $previous;
+}
+
+/**
+ * Handle a batch of check-in updates (group check-in) in a single write
+ *
+ * Expects {"updates": [{"attendeeId", "status", "checkedInAt", "checkedOutAt", "visits", "attendeeName", "session"}, ...]}
+ */
+function handleBatchCheckin() {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        throw new Exception('Only POST method allowed for check-ins');
+    }
     
-    if ($result === false) {
-        throw new Exception('Failed to save check-in data');
+    $input = json_decode(file_get_contents('php://input'), true);
+    
+    if (!$input || !isset($input['updates']) || !is_array($input['updates']) || count($input['updates']) === 0) {
+        throw new Exception('Missing required field: updates');
+    }
+    
+    foreach ($input['updates'] as $update) {
+        if (!isset($update['attendeeId']) || !isset($update['status'])) {
+            throw new Exception('Each update requires attendeeId and status');
+        }
+    }
+    
+    $timestamp = date('Y-m-d H:i:s');
+    $userAgent = $_SERVER['HTTP_USER_AGENT'] ?? 'Unknown';
+    
+    $previous = updateCheckins(function (&$checkins) use ($input, $timestamp, $userAgent) {
+        $previous = [];
+        foreach ($input['updates'] as $index => $update) {
+            $previous[$index] = applyCheckinUpdate($checkins, $update, $timestamp, $userAgent);
+        }
+        return $previous;
+    });
+    
+    foreach ($input['updates'] as $index => $update) {
+        logStatusChange($update['attendeeId'], $update, $previous[$index]);
     }
     
     echo json_encode([
         'success' => true,
         'message' => 'Check-in status updated',
-        'attendeeId' => $input['attendeeId'],
-        'status' => $input['status']
+        'updated' => count($input['updates'])
     ]);
 }
 
+/**
+ * Append an entry to the check-in audit log (data/checkin-log.jsonl, one JSON object per line)
+ *
+ * $audit is the entry built by the client (audit-log.js) and supplies the device name,
+ * operator and the time the change was made, which may be earlier than now for updates
+ * replayed from the offline queue. Previous values always come from the server's records.
+ */
+function appendAuditLog($action, $attendeeId, $attendeeName, $previousStatus, $newStatus, $audit = [], $details = null) {
+    global $DATA_DIR;
+    
+    $audit = is_array($audit) ? $audit : [];
+    $clientString = function ($key) use ($audit) {
+        return isset($audit[$key]) && is_scalar($audit[$key]) && $audit[$key] !== '' ? substr((string) $audit[$key], 0, 200) : null;
+    };
+    
+    $performedAt = $clientString('performedAt');
+    if ($performedAt === null || strtotime($performedAt) === false) {
+        $performedAt = date('c');
+    }
+    
+    $entry = [
+        'action' => $action,
+        'attendeeId' => $attendeeId,
+        'attendeeName' => $attendeeName ?? $clientString('attendeeName'),
+        'previousStatus' => $previousStatus,
+        'newStatus' => $newStatus,
+        'details' => $details ?? $clientString('details'),
+        'deviceName' => $clientString('deviceName'),
+        'operator' => $clientString('operator'),
+        'performedAt' => $performedAt,
+        'loggedAt' => date('c'),
+        'ipAddress' => $_SERVER['REMOTE_ADDR'] ?? null,
+        'userAgent' => $_SERVER['HTTP_USER_AGENT'] ?? 'Unknown'
+    ];
+    
+    // Logging must never fail the change it records
+    $result = file_put_contents($DATA_DIR . 'checkin-log.jsonl', json_encode($entry) . "\n", FILE_APPEND | LOCK_EX);
+    if ($result === false) {
+        error_log('Failed to append to check-in audit log');
+    }
+}
+
+/**
+ * Log a check-in status update sent to handleCheckin or handleBatchCheckin
+ */
+function logStatusChange($attendeeId, $update, $previous) {
+    $audit = is_array($update['audit'] ?? null) ? $update['audit'] : [];
+    if (in_array($audit['action'] ?? null, ['check-in', 'check-out', 'undo', 'status', 'edit'], true)) {
+        $action = $audit['action'];
+    } elseif ($update['status'] === 'checked-in') {
+        $action = 'check-in';
+    } elseif ($update['status'] === 'checked-out') {
+        $action = 'check-out';
+    } else {
+        $action = $update['status'] === 'pending' ? 'undo' : 'status';
+    }
+    
+    appendAuditLog(
+        $action,
+        $attendeeId,
+        $update['attendeeName'] ?? ($previous['attendeeName'] ?? null),
+        $previous['status'] ?? 'pending',
+        $update['status'],
+        $audit
+    );
+}
+
+/**
+ * Handle audit log retrieval (admin only), newest entries first
+ * Optional ?limit= caps the number of entries returned (default 2000)
+ */
+function handleGetLog() {
+    global $DATA_DIR;
+    
+    // Verify admin token
+    $adminToken = $_SERVER['HTTP_X_ADMIN_TOKEN'] ?? '';
+    if ($adminToken !== 'admin123') {
+        throw new Exception('Unauthorized: Invalid admin token');
+    }
+    
+    $logFile = $DATA_DIR . 'checkin-log.jsonl';
+    if (!file_exists($logFile)) {
+        echo json_encode([]);
+        return;
+    }
+    
+    $limit = max(1, min((int) ($_GET['limit'] ?? 2000), 20000));
+    $lines = file($logFile, FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES);
+    if ($lines === false) {
+        throw new Exception('Failed to read audit log');
+    }
+    
+    $entries = [];
+    foreach (array_reverse($lines) as $index => $line) {
+        $entry = json_decode($line, true);
+        if (!is_array($entry)) {
+            continue; // Skip a line cut short by a crash mid-write
+        }
+        $entry['id'] = count($lines) - $index;
+        $entries[] = $entry;
+        if (count($entries) >= $limit) {
+            break;
+        }
+    }
+    
+    echo json_encode($entries);
+}
+
 /**
  * Handle check-in status retrieval
  */
@@ -371,8 +1064,6 @@ function handleGetCheckins() {
  * Handle clearing all check-in status
  */
 function handleClearCheckins() {
-    global $DATA_DIR;
-    
     if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
         throw new Exception('Only POST method allowed for clearing check-ins');
     }
@@ -383,15 +1074,15 @@ function handleClearCheckins() {
         throw new Exception('Unauthorized: Invalid admin token');
     }
     
-    $checkinFile = $DATA_DIR . 'checkins.json';
-    
     // Clear the check-in file
-    if (file_exists($checkinFile)) {
-        $result = file_put_contents($checkinFile, '{}');
-        if ($result === false) {
-            throw new Exception('Failed to clear check-in data');
-        }
-    }
+    $cleared = updateCheckins(function (&$checkins) {
+        $count = count($checkins);
+        $checkins = [];
+        return $count;
+    });
+    
+    $input = json_decode(file_get_contents('php://input'), true) ?: [];
+    appendAuditLog('reset', null, null, null, 'pending', $input['audit'] ?? [], "Cleared $cleared check-in record(s)");
     
     echo json_encode([
         'success' => true,
@@ -400,6 +1091,78 @@ function handleClearCheckins() {
     ]);
 }
 
+/**
+ * Handle re-linking of orphaned check-ins (admin only)
+ * Body: { links: [{ from: oldId, to: newId }], audit }; an empty "to" discards the check-in.
+ * A check-in is never moved onto an attendee with check-in state of their own;
+ * those links are returned as conflicts and the orphan is kept.
+ */
+function handleRelinkCheckins() {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        throw new Exception('Only POST method allowed for re-linking check-ins');
+    }
+    
+    // Verify admin token
+    $adminToken = $_SERVER['HTTP_X_ADMIN_TOKEN'] ?? '';
+    if ($adminToken !== 'admin123') {
+        throw new Exception('Unauthorized: Invalid admin token');
+    }
+    
+    $input = json_decode(file_get_contents('php://input'), true);
+    if (!$input || !isset($input['links']) || !is_array($input['links'])) {
+        throw new Exception('Missing required field: links');
+    }
+    
+    $changes = updateCheckins(function (&$checkins) use ($input) {
+        $changes = ['relinked' => [], 'discarded' => [], 'conflicts' => []];
+        
+        foreach ($input['links'] as $link) {
+            $from = (string) ($link['from'] ?? '');
+            $to = (string) ($link['to'] ?? '');
+            
+            if ($from === '' || $from === $to || !isset($checkins[$from])) {
+                continue;
+            }
+            
+            if ($to === '') {
+                $changes['discarded'][] = ['from' => $from, 'checkin' => $checkins[$from]];
+                unset($checkins[$from]);
+                continue;
+            }
+            
+            $targetStatus = $checkins[$to]['status'] ?? 'pending';
+            if ($targetStatus !== 'pending') {
+                $changes['conflicts'][] = ['from' => $from, 'to' => $to, 'status' => $targetStatus];
+                continue;
+            }
+            
+            $checkins[$to] = $checkins[$from];
+            $checkins[$to]['relinkedFrom'] = $from;
+            unset($checkins[$from]);
+            $changes['relinked'][] = ['from' => $from, 'to' => $to, 'checkin' => $checkins[$to]];
+        }
+        
+        return $changes;
+    });
+    
+    $audit = $input['audit'] ?? [];
+    foreach ($changes['relinked'] as $change) {
+        appendAuditLog('status', $change['to'], $change['checkin']['attendeeName'] ?? null, 'pending',
+            $change['checkin']['status'] ?? null, $audit, 'Re-linked from ' . $change['from']);
+    }
+    foreach ($changes['discarded'] as $change) {
+        appendAuditLog('undo', $change['from'], $change['checkin']['attendeeName'] ?? null,
+            $change['checkin']['status'] ?? null, null, $audit, 'Discarded orphaned check-in');
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'relinked' => count($changes['relinked']),
+        'discarded' => count($changes['discarded']),
+        'conflicts' => $changes['conflicts']
+    ]);
+}
+
 /**
  * Handle configuration retrieval
  */
@@ -590,4 +1353,33 @@ function handleSetAdminPassword() {
         'message' => 'Admin password set successfully'
     ]);
 }
+
+/**
+ * Handle checking a password or PIN against the admin password (kiosk unlock)
+ */
+function handleVerifyAdminPassword() {
+    global $DATA_DIR;
+    
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        throw new Exception('Only POST method allowed for verifying password');
+    }
+    
+    $input = json_decode(file_get_contents('php://input'), true);
+    $candidate = trim((string)($input['password'] ?? ''));
+    
+    $passwordFile = $DATA_DIR . 'admin-password.txt';
+    $password = file_exists($passwordFile) ? trim(file_get_contents($passwordFile)) : '';
+    
+    $valid = $password !== '' && $candidate !== '' && hash_equals($password, $candidate);
+    
+    // Slow down PIN guessing at an unattended kiosk
+    if (!$valid && $candidate !== '') {
+        sleep(1);
+    }
+    
+    echo json_encode([
+        'hasPassword' => $password !== '',
+        'valid' => $valid
+    ]);
+}
 ?>
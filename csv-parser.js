@@ -0,0 +1,229 @@
+/**
+ * CSV Parser Module
+ * Single RFC 4180 parser shared by every CSV import path (Google Sheets
+ * polling, manual file uploads and the admin column mapping preview)
+ *
+ * Handles quoted fields with embedded delimiters and newlines, escaped
+ * quotes (""), a leading byte order mark, CRLF/CR/LF line endings and
+ * comma, semicolon, tab or pipe delimiters (auto-detected). Malformed
+ * rows are still returned, with a per-row error carrying the line number.
+ *
+ * @module CsvParser
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Delimiters tried by detectDelimiter, in order of preference on a tie
+     */
+    const DELIMITERS = [',', ';', '\t', '|'];
+
+    /**
+     * Number of lines sampled when detecting the delimiter
+     */
+    const DETECT_SAMPLE_LINES = 10;
+
+    const CsvParser = {
+        DELIMITERS,
+
+        /**
+         * Parses CSV text into rows of string values
+         *
+         * @param {string} text - Raw CSV text
+         * @param {Object} [options]
+         * @param {string} [options.delimiter] - Field delimiter (auto-detected when omitted)
+         * @param {boolean} [options.trim=true] - Trim whitespace around unquoted values
+         * @param {boolean} [options.skipEmptyLines=true] - Drop rows where every value is empty
+         * @returns {{rows: Array<Array<string>>, lines: Array<number>, errors: Array<{line: number, row: number, message: string}>, delimiter: string}}
+         *   Parsed rows, the line each row starts on, parse errors and the delimiter used
+         *
+         * @example
+         * CsvParser.parse('Name,Notes\n"Smith, Jo","Said ""hi"""').rows
+         * // returns [['Name', 'Notes'], ['Smith, Jo', 'Said "hi"']]
+         */
+        parse(text, options = {}) {
+            const source = (text ?? '').toString().replace(/^\uFEFF/, '');
+            const delimiter = options.delimiter || this.detectDelimiter(source);
+            const trim = options.trim !== false;
+            const skipEmptyLines = options.skipEmptyLines !== false;
+
+            const rows = [];
+            const lines = [];
+            const errors = [];
+
+            let row = [];
+            let field = '';
+            let inQuotes = false;
+            let wasQuoted = false;
+            let afterQuote = false;
+            let line = 1;
+            let rowLine = 1;
+            let quoteLine = 1;
+            let rowErrors = [];
+
+            const addError = (message, errorLine = line) => {
+                // One error per problem type per row keeps the report readable
+                if (!rowErrors.some(error => error.message === message)) {
+                    rowErrors.push({ line: errorLine, message });
+                }
+            };
+
+            const endField = () => {
+                row.push(wasQuoted || !trim ? field : field.trim());
+                field = '';
+                wasQuoted = false;
+                afterQuote = false;
+            };
+
+            const endRow = () => {
+                endField();
+                const isEmpty = row.every(value => value === '');
+
+                if (!(skipEmptyLines && isEmpty && rowErrors.length === 0)) {
+                    rowErrors.forEach(error => errors.push({ ...error, row: rows.length }));
+                    rows.push(row);
+                    lines.push(rowLine);
+                }
+
+                row = [];
+                rowErrors = [];
+            };
+
+            for (let i = 0; i < source.length; i++) {
+                const char = source[i];
+
+                if (inQuotes) {
+                    if (char === '"') {
+                        if (source[i + 1] === '"') {
+                            field += '"';
+                            i++;
+                        } else {
+                            inQuotes = false;
+                            afterQuote = true;
+                        }
+                    } else if (char === '\r' || char === '\n') {
+                        // Normalize embedded line breaks to \n
+                        if (char === '\r' && source[i + 1] === '\n') i++;
+                        field += '\n';
+                        line++;
+                    } else {
+                        field += char;
+                    }
+                    continue;
+                }
+
+                if (char === delimiter) {
+                    endField();
+                    continue;
+                }
+
+                if (char === '\r' || char === '\n') {
+                    if (char === '\r' && source[i + 1] === '\n') i++;
+                    endRow();
+                    line++;
+                    rowLine = line;
+                    continue;
+                }
+
+                if (afterQuote) {
+                    // Whitespace between a closing quote and the delimiter is ignored
+                    if (!/\s/.test(char)) {
+                        addError('Unexpected characters after closing quote');
+                        field += char;
+                    }
+                    continue;
+                }
+
+                if (char === '"') {
+                    if (!wasQuoted && field.trim() === '') {
+                        inQuotes = true;
+                        wasQuoted = true;
+                        quoteLine = line;
+                        field = '';
+                    } else {
+                        addError('Unexpected quote in unquoted field');
+                        field += char;
+                    }
+                    continue;
+                }
+
+                field += char;
+            }
+
+            if (inQuotes) {
+                addError('Unterminated quoted field', quoteLine);
+            }
+
+            // Flush the last row unless the text ended with a line break
+            if (field !== '' || wasQuoted || row.length > 0 || rowErrors.length > 0) {
+                endRow();
+            }
+
+            return { rows, lines, errors, delimiter };
+        },
+
+        /**
+         * Detects the delimiter from the first lines of the text: the candidate
+         * that appears the same (non-zero) number of times on the most lines wins
+         *
+         * @param {string} text - Raw CSV text
+         * @returns {string} Detected delimiter (comma when nothing matches)
+         */
+        detectDelimiter(text) {
+            const sample = (text ?? '').toString()
+                .replace(/^\uFEFF/, '')
+                .split(/\r\n|\r|\n/)
+                .filter(line => line.trim())
+                .slice(0, DETECT_SAMPLE_LINES);
+
+            if (sample.length === 0) {
+                return ',';
+            }
+
+            const countOutsideQuotes = (line, delimiter) => {
+                let count = 0;
+                let inQuotes = false;
+                for (const char of line) {
+                    if (char === '"') inQuotes = !inQuotes;
+                    else if (char === delimiter && !inQuotes) count++;
+                }
+                return count;
+            };
+
+            let best = { delimiter: ',', consistent: 0, count: 0 };
+
+            DELIMITERS.forEach(delimiter => {
+                const counts = sample.map(line => countOutsideQuotes(line, delimiter));
+                const count = counts[0];
+                if (count === 0) return;
+
+                const consistent = counts.filter(c => c === count).length;
+                if (consistent > best.consistent || (consistent === best.consistent && count > best.count)) {
+                    best = { delimiter, consistent, count };
+                }
+            });
+
+            return best.delimiter;
+        },
+
+        /**
+         * Formats a parse error for logs and alerts
+         *
+         * @param {{line: number, message: string}} error - Error from parse()
+         * @returns {string}
+         *
+         * @example
+         * CsvParser.formatError({ line: 12, message: 'Unterminated quoted field' })
+         * // returns 'Line 12: Unterminated quoted field'
+         */
+        formatError(error) {
+            return `Line ${error.line}: ${error.message}`;
+        }
+    };
+
+    // Expose to window object
+    window.CsvParser = CsvParser;
+
+})(window);
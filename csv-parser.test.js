@@ -0,0 +1,128 @@
+/**
+ * CSV Parser Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runCsvParserTests() {
+    console.log('\nRunning CSV Parser Tests...\n');
+
+    const parse = (text, options) => window.CsvParser.parse(text, options);
+    const rowsJson = (text, options) => JSON.stringify(parse(text, options).rows);
+
+    // Basic parsing
+    TestRunner.test('Parses simple comma-separated rows', () => {
+        TestRunner.assertEqual(
+            rowsJson('Name,Table\nJohn Smith,1'),
+            JSON.stringify([['Name', 'Table'], ['John Smith', '1']])
+        );
+    });
+
+    TestRunner.test('Trims whitespace around unquoted values', () => {
+        TestRunner.assertEqual(rowsJson('  a , b  '), JSON.stringify([['a', 'b']]));
+    });
+
+    TestRunner.test('Keeps empty trailing field', () => {
+        TestRunner.assertEqual(rowsJson('a,b,'), JSON.stringify([['a', 'b', '']]));
+    });
+
+    // Quoting
+    TestRunner.test('Quoted field keeps embedded delimiter', () => {
+        TestRunner.assertEqual(rowsJson('"Smith, Jo",VIP'), JSON.stringify([['Smith, Jo', 'VIP']]));
+    });
+
+    TestRunner.test('Escaped quotes ("") become a single quote', () => {
+        TestRunner.assertEqual(rowsJson('"Said ""hi"""'), JSON.stringify([['Said "hi"']]));
+    });
+
+    TestRunner.test('Quoted field keeps embedded newline', () => {
+        const result = parse('Name,Notes\n"Jo","Line 1\nLine 2"\nSam,x');
+        TestRunner.assertEqual(result.rows.length, 3, 'Should produce three rows');
+        TestRunner.assertEqual(result.rows[1][1], 'Line 1\nLine 2');
+        TestRunner.assertEqual(result.lines[2], 4, 'Row after a multi-line field should start on line 4');
+    });
+
+    TestRunner.test('Quoted field keeps surrounding whitespace', () => {
+        TestRunner.assertEqual(rowsJson('" padded ",x'), JSON.stringify([[' padded ', 'x']]));
+    });
+
+    // Line endings and BOM
+    TestRunner.test('Handles CRLF line endings', () => {
+        TestRunner.assertEqual(rowsJson('a,b\r\n1,2\r\n'), JSON.stringify([['a', 'b'], ['1', '2']]));
+    });
+
+    TestRunner.test('Handles bare CR line endings', () => {
+        TestRunner.assertEqual(rowsJson('a,b\r1,2'), JSON.stringify([['a', 'b'], ['1', '2']]));
+    });
+
+    TestRunner.test('Strips leading byte order mark', () => {
+        TestRunner.assertEqual(parse('\uFEFFName,Table').rows[0][0], 'Name');
+    });
+
+    TestRunner.test('Skips blank lines but keeps line numbers', () => {
+        const result = parse('a,b\n\n1,2');
+        TestRunner.assertEqual(result.rows.length, 2);
+        TestRunner.assertEqual(result.lines[1], 3);
+    });
+
+    // Delimiter detection
+    TestRunner.test('Detects semicolon delimiter', () => {
+        const result = parse('Name;Table\n"Smith; Jo";1');
+        TestRunner.assertEqual(result.delimiter, ';');
+        TestRunner.assertEqual(result.rows[1][0], 'Smith; Jo');
+    });
+
+    TestRunner.test('Detects tab delimiter', () => {
+        TestRunner.assertEqual(parse('Name\tTable\nJo\t1').delimiter, '\t');
+    });
+
+    TestRunner.test('Commas inside quotes do not outvote the real delimiter', () => {
+        TestRunner.assertEqual(window.CsvParser.detectDelimiter('a;b\n"x, y, z";1\n"p, q";2'), ';');
+    });
+
+    TestRunner.test('Defaults to comma when no delimiter is found', () => {
+        TestRunner.assertEqual(window.CsvParser.detectDelimiter('Name\nJo'), ',');
+    });
+
+    TestRunner.test('Explicit delimiter overrides detection', () => {
+        TestRunner.assertEqual(rowsJson('a;b,c', { delimiter: ',' }), JSON.stringify([['a;b', 'c']]));
+    });
+
+    // Errors
+    TestRunner.test('Reports unterminated quoted field with its line number', () => {
+        const result = parse('a,b\n1,"open\n2,3');
+        TestRunner.assertEqual(result.errors.length, 1);
+        TestRunner.assertEqual(result.errors[0].line, 2);
+        TestRunner.assertEqual(result.errors[0].row, 1);
+        TestRunner.assertEqual(result.errors[0].message, 'Unterminated quoted field');
+    });
+
+    TestRunner.test('Reports stray quote in unquoted field but keeps the row', () => {
+        const result = parse('a,b\n5" screen,2');
+        TestRunner.assertEqual(result.errors.length, 1);
+        TestRunner.assertEqual(result.errors[0].line, 2);
+        TestRunner.assertEqual(result.rows[1][0], '5" screen');
+    });
+
+    TestRunner.test('Reports text after a closing quote', () => {
+        const result = parse('"a"b,c');
+        TestRunner.assertEqual(result.errors[0].message, 'Unexpected characters after closing quote');
+    });
+
+    TestRunner.test('Well-formed input has no errors', () => {
+        TestRunner.assertEqual(parse('a,"b ""c"""\n1,2').errors.length, 0);
+    });
+
+    TestRunner.test('formatError includes the line number', () => {
+        TestRunner.assertEqual(
+            window.CsvParser.formatError({ line: 12, message: 'Unterminated quoted field' }),
+            'Line 12: Unterminated quoted field'
+        );
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runCsvParserTests = runCsvParserTests;
+}
@@ -28,25 +28,31 @@ window.DataSourceManager = {
             };
         }
         
+        const source = this.createSource(sourceType, config.settings[sourceType]);
+        if (!source) {
+            console.error('Unknown data source type:', sourceType);
+            return;
+        }
+        this.currentSource = source;
+        
+        // Update UI to show current source
+        this.updateSourceIndicator();
+    },
+    
+    // Create a data source of the given type, or null for an unknown type
+    createSource(sourceType, settings) {
         switch (sourceType) {
             case 'csv':
-                const csvSettings = config.settings?.csv || { pollUrl: 'csv-handler.php?action=get', pollInterval: 5000 };
+                const csvSettings = settings || { pollUrl: 'csv-handler.php?action=get', pollInterval: 5000 };
                 console.log('CSV DataSource settings:', csvSettings);
-                this.currentSource = new CSVDataSource(csvSettings);
-                break;
+                return new CSVDataSource(csvSettings);
             case 'googlesheets':
-                this.currentSource = new GoogleSheetsDataSource(config.settings.googlesheets || { sheetUrl: '', pollInterval: 5000, proxyUrl: '' });
-                break;
+                return new GoogleSheetsDataSource(settings || { sheetUrl: '', pollInterval: 5000, proxyUrl: '' });
             case 'supabase':
-                this.currentSource = new SupabaseDataSource(config.settings.supabase || { url: '', anonKey: '', tableName: 'event_checkin_attendees' });
-                break;
+                return new SupabaseDataSource(settings || { url: '', anonKey: '', tableName: 'event_checkin_attendees' });
             default:
-                console.error('Unknown data source type:', sourceType);
-                return;
+                return null;
         }
-        
-        // Update UI to show current source
-        this.updateSourceIndicator();
     },
     
     // Setup automatic polling
@@ -83,20 +89,73 @@ window.DataSourceManager = {
         }
     },
     
-    // Switch data source
-    async switchDataSource(newType, settings) {
-        if (this.currentSource && this.currentSource.getType() === newType) {
-            console.log('Already using this data source');
-            return;
+    // Ask whether check-ins of the current source should be carried over to
+    // the matching attendees of a new source (see source-migration.js), or
+    // left behind for a clean start. next is the new source's attendees when
+    // they are not there yet (a roster about to be uploaded). Resolves to the
+    // changes to apply once switched (none for a clean start), or null when
+    // the admin cancels
+    async confirmSwitch(newType, settings, next = null) {
+        let migration = null;
+        let report = '';
+        if (this.currentSource) {
+            try {
+                const [previous, attendees] = await Promise.all([
+                    this.currentSource.loadData(),
+                    next || this.createSource(newType, settings).loadData()
+                ]);
+                migration = window.SourceMigration.plan(previous, attendees, {
+                    fromType: this.currentSource.getType(),
+                    session: window.EventSessions.current()
+                });
+                report = window.SourceMigration.report(migration);
+            } catch (error) {
+                console.warn('Could not compare check-ins with the new data source:', error);
+                report = `Check-ins could not be compared with the ${newType} data source: ${error.message}`;
+            }
+        }
+        
+        const carryOver = migration !== null && migration.changes.length > 0 && confirm(
+            `${report}\n\nCarry these check-ins over to ${newType}? Cancel to choose a clean start instead.`
+        );
+        if (carryOver) {
+            return migration.changes;
         }
         
-        // Warn user about data loss
         const confirmed = confirm(
-            `Switching to ${newType} data source will clear all current check-in data. ` +
-            'This action cannot be undone. Continue?'
+            `${report ? `${report}\n\n` : ''}Switch to ${newType} with a clean start? ` +
+            'Check-ins of the current data source will not be carried over. Continue?'
         );
+        return confirmed ? [] : null;
+    },
+    
+    // Apply the changes from confirmSwitch() to the current (new) source
+    async carryOver(changes) {
+        if (changes.length === 0) {
+            return;
+        }
+        const newType = this.currentSource.getType();
+        try {
+            await this.currentSource.updateAttendees(changes);
+            console.log(`✅ Carried ${changes.length} check-ins over to ${newType}`);
+        } catch (error) {
+            console.error('Failed to carry check-ins over:', error);
+            alert(`Check-ins could not be carried over to ${newType}: ${error.message}`);
+        }
+    },
+    
+    // Switch data source, offering to carry check-ins over (see confirmSwitch()).
+    // Callers that asked already pass the changes confirmSwitch() resolved to
+    async switchDataSource(newType, settings, changes = null) {
+        if (this.currentSource && this.currentSource.getType() === newType) {
+            console.log('Already using this data source');
+            return;
+        }
         
-        if (!confirmed) {
+        if (changes === null) {
+            changes = await this.confirmSwitch(newType, settings);
+        }
+        if (changes === null) {
             return false;
         }
         
@@ -118,6 +177,8 @@ window.DataSourceManager = {
         this.loadDataSource();
         this.setupPolling();
         
+        await this.carryOver(changes);
+        
         // Load initial data
         try {
             const data = await this.currentSource.loadData();
@@ -137,9 +198,116 @@ window.DataSourceManager = {
     // Get current source
     getCurrentSource() {
         return this.currentSource;
+    },
+    
+    // Roster uploaded to the server (with check-ins), whichever source is in use
+    async loadUploadedRoster() {
+        const config = window.getDataSourceConfig();
+        return new CSVDataSource(config?.settings?.csv || { pollUrl: 'csv-handler.php?action=get' }).loadData();
+    },
+    
+    // Show an import preview of a roster file and upload it once the admin confirms.
+    // csvText is the file as CSV (for spreadsheets); resolves to the server's
+    // response, or null when cancelled
+    async uploadRoster(file, csvText) {
+        const previewed = await this.previewRoster(file, csvText);
+        return previewed ? this.sendRoster(file, previewed.text) : null;
+    },
+    
+    // Show an import preview of a roster file without uploading it. Resolves to
+    // { text, preview, current } once the admin confirms, or null when cancelled
+    async previewRoster(file, csvText) {
+        const text = csvText ?? await file.text();
+        const current = await this.loadUploadedRoster();
+        const preview = window.ImportPreview.build(text, current);
+        if (!(await window.ImportPreview.confirm(preview))) {
+            return null;
+        }
+        return { text, preview, current };
+    },
+    
+    // Attendees the CSV source will have once a previewed roster is uploaded:
+    // the server keeps check-ins (by row ID) and walk-ins across uploads
+    rosterAfterUpload({ preview, current }) {
+        const currentById = new Map(current.map(attendee => [String(attendee.id), attendee]));
+        const rows = preview.attendees.map(attendee => {
+            const before = currentById.get(String(attendee.id));
+            return before ? {
+                ...attendee,
+                status: before.status,
+                checkedInAt: before.checkedInAt,
+                checkedOutAt: before.checkedOutAt,
+                visits: before.visits
+            } : attendee;
+        });
+        return [...rows, ...current.filter(attendee => attendee.walkIn)];
+    },
+    
+    // Upload a roster file whose preview was confirmed; text is the CSV it was built from
+    async sendRoster(file, text) {
+        // Spreadsheets are sent as the CSV the preview was built from
+        const upload = /\.csv$/i.test(file.name)
+            ? file
+            : new File([text], file.name.replace(/\.[^.]+$/, '') + '.csv', { type: 'text/csv' });
+        const formData = new FormData();
+        formData.append('csvFile', upload);
+        
+        const response = await fetch('csv-handler.php?action=upload', {
+            method: 'POST',
+            body: formData
+        });
+        
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Upload failed');
+        }
+        return result;
+    },
+    
+    // Merge freshly loaded attendees into the current list by ID.
+    // Unchanged attendees keep their existing object so renderers can skip them.
+    mergeAttendees(current, incoming) {
+        const currentById = new Map((current || []).map(attendee => [String(attendee.id), attendee]));
+        const added = [];
+        const changed = [];
+        
+        const attendees = (incoming || []).map(next => {
+            const key = String(next.id);
+            const existing = currentById.get(key);
+            
+            if (!existing) {
+                added.push(next);
+                return next;
+            }
+            
+            currentById.delete(key);
+            
+            const fields = new Set([...Object.keys(existing), ...Object.keys(next)]);
+            if ([...fields].some(field => !sameFieldValue(existing[field], next[field]))) {
+                changed.push(next);
+                return next;
+            }
+            
+            return existing;
+        });
+        
+        return {
+            attendees,
+            added,
+            removed: [...currentById.values()],
+            changed
+        };
     }
 };
 
+// Field comparison for mergeAttendees; arrays (visits) are compared by value
+function sameFieldValue(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return a === b;
+}
+
 // Base Data Source Class
 class BaseDataSource {
     constructor(settings) {
@@ -154,6 +322,11 @@ class BaseDataSource {
         return false;
     }
     
+    // Whether the source can hold several events (see event-registry.js)
+    supportsEvents() {
+        return false;
+    }
+    
     async loadData() {
         throw new Error('loadData() must be implemented by subclass');
     }
@@ -165,6 +338,87 @@ class BaseDataSource {
     async updateAttendee(attendeeId, updates) {
         throw new Error('updateAttendee() must be implemented by subclass');
     }
+    
+    // Apply several updates at once ([{ attendeeId, updates }]); sources override
+    // this with a single request, the fallback sends them one by one
+    async updateAttendees(changes) {
+        for (const { attendeeId, updates } of changes) {
+            await this.updateAttendee(attendeeId, updates);
+        }
+    }
+    
+    // Add an attendee; options.walkIn is false for attendees added in the admin dashboard
+    async createAttendee(attendee, options = {}) {
+        throw new Error('createAttendee() must be implemented by subclass');
+    }
+    
+    // Change attendee details ({ attendeeName, tableNumber, ... } from AttendeeFields); audit is the 'edit' log entry
+    async updateAttendeeFields(attendeeId, fields, audit) {
+        throw new Error('updateAttendeeFields() must be implemented by subclass');
+    }
+    
+    async deleteAttendee(attendeeId, audit) {
+        throw new Error('deleteAttendee() must be implemented by subclass');
+    }
+    
+    // Log entry for an attendee added by hand or at the door
+    buildCreateEntry(attendee, options) {
+        return options.walkIn === false
+            ? window.AuditLog.createEntry('edit', { attendeeName: attendee.attendeeName, newStatus: 'pending', details: 'Added' })
+            : window.AuditLog.createEntry('walk-in', { attendeeName: attendee.attendeeName, newStatus: 'pending' });
+    }
+    
+    // Audit entry for a status update; callers that know the previous status attach their own as updates.audit
+    buildAuditEntry(attendeeId, updates) {
+        return updates.audit || window.AuditLog.createEntry(window.AuditLog.actionForStatus(updates.status), {
+            attendeeId,
+            newStatus: updates.status
+        });
+    }
+}
+
+// Error for a failed response from csv-handler.php. The status tells a rejected
+// request (4xx) from a server fault, e.g. for OfflineQueue.isRejection()
+function responseError(response, message) {
+    return Object.assign(new Error(message || `Server error: ${response.status}`), { status: response.status });
+}
+
+// Send an attendee edit or deletion to csv-handler.php (admin only). Uploaded CSV
+// rows are changed in place; Google Sheets rows can't be written, so their edits
+// are kept on the server as an overlay ("target": "overlay")
+async function postAttendeeChange(action, body) {
+    const response = await fetch(`csv-handler.php?action=${action}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Admin-Token': 'admin123'
+        },
+        body: JSON.stringify(body)
+    });
+    
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw responseError(response, result.error);
+    }
+    
+    return result;
+}
+
+// Send a group of check-in updates to csv-handler.php in one request
+async function postCheckinBatch(url, updates) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ updates })
+    });
+    
+    if (!response.ok) {
+        throw responseError(response);
+    }
+    
+    return response.json();
 }
 
 // CSV Data Source
@@ -199,13 +453,16 @@ class CSVDataSource extends BaseDataSource {
                     const checkinData = await checkinResponse.json();
                     window.debugLog('CSV DataSource: Loaded check-in data from server:', checkinData);
                     
-                    // Apply server check-in status to attendees
+                    // Apply server check-in status (of the current session, if any) to attendees
                     return normalizedData.map(attendee => {
-                        if (checkinData[attendee.id]) {
+                        const checkin = window.EventSessions.select(checkinData[attendee.id]);
+                        if (checkin) {
                             return {
                                 ...attendee,
-                                status: checkinData[attendee.id].status,
-                                checkedInAt: checkinData[attendee.id].checkedInAt
+                                status: checkin.status,
+                                checkedInAt: checkin.checkedInAt,
+                                checkedOutAt: checkin.checkedOutAt || null,
+                                visits: checkin.visits || []
                             };
                         }
                         return attendee;
@@ -247,24 +504,40 @@ class CSVDataSource extends BaseDataSource {
                 body: JSON.stringify({
                     attendeeId: attendeeId,
                     status: updates.status,
-                    checkedInAt: updates.checkedInAt
+                    checkedInAt: updates.checkedInAt,
+                    checkedOutAt: updates.checkedOutAt,
+                    visits: updates.visits,
+                    session: updates.session,
+                    audit: this.buildAuditEntry(attendeeId, updates)
                 })
             });
             
             if (!response.ok) {
-                throw new Error(`Server error: ${response.status}`);
+                throw responseError(response);
             }
             
             const result = await response.json();
             window.debugLog(`CSV DataSource: Check-in synced to server for ${attendeeId}`);
             return result;
         } catch (error) {
-            console.warn('Failed to sync check-in to server, using localStorage fallback:', error);
-            // Fallback to localStorage if server sync fails
-            return { success: true };
+            console.warn('Failed to sync check-in to server:', error);
+            throw error;
         }
     }
     
+    async updateAttendees(changes) {
+        const pollUrl = this.settings.pollUrl || 'csv-handler.php?action=get';
+        return postCheckinBatch(pollUrl.replace('?action=get', '?action=checkinbatch'), changes.map(({ attendeeId, updates }) => ({
+            attendeeId: attendeeId,
+            status: updates.status,
+            checkedInAt: updates.checkedInAt,
+            checkedOutAt: updates.checkedOutAt,
+            visits: updates.visits,
+            session: updates.session,
+            audit: this.buildAuditEntry(attendeeId, updates)
+        })));
+    }
+    
     normalizeAttendeeData(data) {
         return data.map((attendee, index) => ({
             id: attendee.id || `csv_${index}`,
@@ -272,13 +545,50 @@ class CSVDataSource extends BaseDataSource {
             groupName: attendee.groupName || '',
             attendeeName: attendee.attendeeName || '',
             ticketType: attendee.ticketType || '',
+            ticketCode: attendee.ticketCode || '',
+            externalId: attendee.externalId || '',
             email: attendee.email || '',
             additionalInfo: attendee.additionalInfo || attendee.mealChoice || '',
             status: attendee.status || 'pending',
             checkedInAt: attendee.checkedInAt || null,
-            rowIndex: attendee.rowIndex || index + 2
+            checkedOutAt: attendee.checkedOutAt || null,
+            visits: [],
+            rowIndex: attendee.rowIndex || index + 2,
+            walkIn: attendee.walkIn === true
         }));
     }
+    
+    // Register a walk-in on the server (stored alongside the uploaded list)
+    async createAttendee(attendee, options = {}) {
+        const pollUrl = this.settings.pollUrl || 'csv-handler.php?action=get';
+        const response = await fetch(pollUrl.replace('?action=get', '?action=addattendee'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                ...attendee,
+                walkIn: options.walkIn !== false,
+                audit: this.buildCreateEntry(attendee, options)
+            })
+        });
+        
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw responseError(response, result.error);
+        }
+        
+        return this.normalizeAttendeeData([result.attendee])[0];
+    }
+    
+    async updateAttendeeFields(attendeeId, fields, audit) {
+        const result = await postAttendeeChange('updateattendee', { attendeeId, fields, target: 'roster', audit });
+        return this.normalizeAttendeeData([result.attendee])[0];
+    }
+    
+    async deleteAttendee(attendeeId, audit) {
+        await postAttendeeChange('deleteattendee', { attendeeId, target: 'roster', audit });
+    }
 }
 
 // Google Sheets Data Source
@@ -308,7 +618,13 @@ class GoogleSheetsDataSource extends BaseDataSource {
             
             const csvText = await response.text();
             const data = this.parseCsvData(csvText);
-            const normalizedData = this.normalizeAttendeeData(data);
+            const normalizedData = this.applyEdits(
+                [...this.normalizeAttendeeData(data), ...(await this.loadWalkIns())],
+                await this.loadEdits()
+            );
+            
+            // Remember names so check-ins stored on the server can be re-linked after sheet edits
+            this.attendeeNames = new Map(normalizedData.map(attendee => [attendee.id, attendee.attendeeName]));
             
             // Load check-in status from server (same as CSV data source)
             try {
@@ -317,13 +633,16 @@ class GoogleSheetsDataSource extends BaseDataSource {
                     const checkinData = await checkinResponse.json();
                     console.log('Google Sheets DataSource: Loaded check-in data from server:', checkinData);
                     
-                    // Apply server check-in status to attendees
+                    // Apply server check-in status (of the current session, if any) to attendees
                     return normalizedData.map(attendee => {
-                        if (checkinData[attendee.id]) {
+                        const checkin = window.EventSessions.select(checkinData[attendee.id]);
+                        if (checkin) {
                             return {
                                 ...attendee,
-                                status: checkinData[attendee.id].status,
-                                checkedInAt: checkinData[attendee.id].checkedInAt
+                                status: checkin.status,
+                                checkedInAt: checkin.checkedInAt,
+                                checkedOutAt: checkin.checkedOutAt || null,
+                                visits: checkin.visits || []
                             };
                         }
                         return attendee;
@@ -369,46 +688,19 @@ class GoogleSheetsDataSource extends BaseDataSource {
         }
     }
     
-    // Parse CSV data
+    // Parse CSV data (header row is kept as the first row for column mapping)
     parseCsvData(csvText) {
-        const lines = csvText.split('\n').filter(line => line.trim());
-        if (lines.length < 2) {
+        const { rows, errors } = window.CsvParser.parse(csvText);
+        if (rows.length < 2) {
             return [];
         }
         
-        const data = [];
-        // Skip header row and process data rows
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i];
-            if (!line.trim()) continue;
-            
-            // Parse CSV line (handle quoted fields)
-            const values = [];
-            let currentValue = '';
-            let inQuotes = false;
-            
-            for (let j = 0; j < line.length; j++) {
-                const char = line[j];
-                
-                if (char === '"') {
-                    inQuotes = !inQuotes;
-                } else if (char === ',' && !inQuotes) {
-                    values.push(currentValue.trim());
-                    currentValue = '';
-                } else {
-                    currentValue += char;
-                }
-            }
-            values.push(currentValue.trim()); // Add last value
-            
-            // Only process rows with data (at least 3 non-empty columns)
-            const nonEmptyValues = values.filter(v => v);
-            if (nonEmptyValues.length >= 3) {
-                data.push(values);
-            }
-        }
+        errors.forEach(error => {
+            console.warn('Google Sheets CSV parse error:', window.CsvParser.formatError(error));
+        });
         
-        return data;
+        // Only process rows with data (at least 3 non-empty columns)
+        return rows.filter((values, i) => i === 0 || values.filter(v => v).length >= 3);
     }
     
     async saveData(data) {
@@ -416,6 +708,93 @@ class GoogleSheetsDataSource extends BaseDataSource {
         throw new Error('Google Sheets data source is read-only. Update the sheet directly.');
     }
     
+    // Walk-ins can't be written to a published sheet, so they are kept on the server
+    async loadWalkIns() {
+        try {
+            const response = await fetch('csv-handler.php?action=getwalkins');
+            if (!response.ok) {
+                return [];
+            }
+            
+            const walkIns = await response.json();
+            return walkIns.map(walkIn => this.normalizeWalkIn(walkIn));
+        } catch (error) {
+            console.warn('Failed to load walk-ins from server:', error);
+            return [];
+        }
+    }
+    
+    // Edits made in the admin dashboard to rows of the sheet ({ [id]: fields | { deleted: true } })
+    async loadEdits() {
+        try {
+            const response = await fetch('csv-handler.php?action=getedits');
+            return response.ok ? await response.json() : {};
+        } catch (error) {
+            console.warn('Failed to load attendee edits from server:', error);
+            return {};
+        }
+    }
+    
+    applyEdits(attendees, edits) {
+        return attendees
+            .filter(attendee => !edits[attendee.id]?.deleted)
+            .map(attendee => (edits[attendee.id] ? { ...attendee, ...window.AttendeeFields.pick({ ...attendee, ...edits[attendee.id] }) } : attendee));
+    }
+    
+    normalizeWalkIn(walkIn) {
+        return {
+            id: walkIn.id,
+            tableNumber: walkIn.tableNumber || 'General',
+            groupName: walkIn.groupName || walkIn.ticketType || 'General',
+            attendeeName: walkIn.attendeeName || '',
+            ticketType: walkIn.ticketType || '',
+            ticketCode: walkIn.ticketCode || '',
+            email: walkIn.email || '',
+            additionalInfo: walkIn.additionalInfo || '',
+            status: 'pending',
+            checkedInAt: null,
+            checkedOutAt: null,
+            visits: [],
+            rowIndex: null,
+            walkIn: walkIn.walkIn !== false // Attendees added in the admin dashboard are kept here too
+        };
+    }
+    
+    async createAttendee(attendee, options = {}) {
+        const response = await fetch('csv-handler.php?action=addattendee', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                ...attendee,
+                walkIn: options.walkIn !== false,
+                audit: this.buildCreateEntry(attendee, options)
+            })
+        });
+        
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw responseError(response, result.error);
+        }
+        
+        this.attendeeNames?.set(result.attendee.id, result.attendee.attendeeName);
+        return this.normalizeWalkIn(result.attendee);
+    }
+    
+    // Walk-ins are changed on the server; sheet rows get an overlay applied on every load
+    async updateAttendeeFields(attendeeId, fields, audit) {
+        await postAttendeeChange('updateattendee', { attendeeId, fields, target: 'overlay', audit });
+        if (fields.attendeeName) {
+            this.attendeeNames?.set(attendeeId, fields.attendeeName);
+        }
+    }
+    
+    async deleteAttendee(attendeeId, audit) {
+        await postAttendeeChange('deleteattendee', { attendeeId, target: 'overlay', audit });
+        this.attendeeNames?.delete(attendeeId);
+    }
+    
     async updateAttendee(attendeeId, updates) {
         // Google Sheets source uses server-side check-in storage (same as CSV)
         // This allows check-ins to sync across devices while using Google Sheets as the data source
@@ -431,13 +810,18 @@ class GoogleSheetsDataSource extends BaseDataSource {
                 },
                 body: JSON.stringify({
                     attendeeId: attendeeId,
+                    attendeeName: this.attendeeNames?.get(attendeeId) || null,
                     status: updates.status,
-                    checkedInAt: updates.checkedInAt
+                    checkedInAt: updates.checkedInAt,
+                    checkedOutAt: updates.checkedOutAt,
+                    visits: updates.visits,
+                    session: updates.session,
+                    audit: this.buildAuditEntry(attendeeId, updates)
                 })
             });
             
             if (!response.ok) {
-                throw new Error(`Server error: ${response.status}`);
+                throw responseError(response);
             }
             
             const result = await response.json();
@@ -449,15 +833,37 @@ class GoogleSheetsDataSource extends BaseDataSource {
         }
     }
     
+    async updateAttendees(changes) {
+        return postCheckinBatch('csv-handler.php?action=checkinbatch', changes.map(({ attendeeId, updates }) => ({
+            attendeeId: attendeeId,
+            attendeeName: this.attendeeNames?.get(attendeeId) || null,
+            status: updates.status,
+            checkedInAt: updates.checkedInAt,
+            checkedOutAt: updates.checkedOutAt,
+            visits: updates.visits,
+            session: updates.session,
+            audit: this.buildAuditEntry(attendeeId, updates)
+        })));
+    }
+    
     normalizeAttendeeData(data) {
-        return data.map((row, index) => {
-            // Parse row data: table_number, group_name, full_name, ticket_type, email, additional_info
-            const tableNumber = (row[0] || '').toString().trim() || 'General';
-            const groupName = (row[1] || '').toString().trim() || '';
-            const fullName = (row[2] || '').toString().trim() || '';
-            const ticketType = (row[3] || '').toString().trim() || '';
-            const email = (row[4] || '').toString().trim() || '';
-            const additionalInfo = (row[5] || '').toString().trim() || '';
+        if (data.length === 0) {
+            return [];
+        }
+        
+        // Map columns from the header row (saved admin mapping wins over detection)
+        const [headerRow, ...rows] = data;
+        const { columns } = window.ColumnMapping.resolve(headerRow, window.ColumnMapping.getSavedMapping('googlesheets'));
+        const usedIds = new Map();
+        
+        return rows.map((row, index) => {
+            const fields = window.ColumnMapping.mapRow(row, columns);
+            const tableNumber = fields.tableNumber || 'General';
+            const groupName = fields.groupName;
+            const fullName = fields.attendeeName;
+            const ticketType = fields.ticketType;
+            const email = fields.email;
+            const additionalInfo = fields.additionalInfo;
 
             // Validate and sanitize email if provided
             let validatedEmail = '';
@@ -470,31 +876,110 @@ class GoogleSheetsDataSource extends BaseDataSource {
                 }
             }
 
-            // Generate ID from full name or use index
-            const id = fullName ? `gsheet_${fullName.replace(/\s+/g, '_').toLowerCase()}_${index}` : `gsheet_${index}`;
-
             return {
-                id: id,
+                id: this.buildAttendeeId(fields, usedIds),
                 tableNumber: tableNumber,
                 groupName: groupName || ticketType || 'General',
                 attendeeName: fullName,
                 ticketType: ticketType,
+                ticketCode: fields.ticketCode,
+                externalId: fields.id || '',
                 email: validatedEmail,
                 additionalInfo: additionalInfo,
                 status: 'pending',
                 checkedInAt: null,
-                rowIndex: index + 2
+                checkedOutAt: null,
+                visits: [],
+                rowIndex: index + 2,
+                walkIn: false
             };
         }).filter(attendee => attendee.attendeeName); // Only keep rows with attendee names
     }
+    
+    // Build an ID that survives rows being inserted or sorted: the sheet's ID
+    // column when mapped, otherwise a hash of name + email + ticket type.
+    // Repeated IDs get a numbered suffix in sheet order.
+    buildAttendeeId(fields, usedIds) {
+        const explicitId = (fields.id || '').toLowerCase()
+            .replace(/[^a-z0-9-]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        
+        const baseId = explicitId
+            ? `gsheet_id_${explicitId}`
+            : `gsheet_${GoogleSheetsDataSource.hashIdentity([fields.attendeeName, fields.email, fields.ticketType])}`;
+        
+        const count = (usedIds.get(baseId) || 0) + 1;
+        usedIds.set(baseId, count);
+        
+        return count === 1 ? baseId : `${baseId}_dup${count}`;
+    }
+    
+    // FNV-1a hash of the normalized identity fields, shared with the ticket tokens
+    static hashIdentity(parts) {
+        return window.TicketCodes.hash(parts);
+    }
+    
+    // Find server check-ins whose attendee ID no longer exists in the sheet and
+    // suggest the current attendee each one most likely belongs to, by name.
+    // Any status but pending is worth keeping: present, checked out or custom.
+    findOrphanedCheckins(attendees, checkins) {
+        const { normalizeName } = window.AttendeeMatch;
+        const hasCheckin = (checkin) => (checkin?.status || window.AttendeeStatuses.PENDING) !== window.AttendeeStatuses.PENDING;
+        const currentIds = new Set(attendees.map(attendee => attendee.id));
+        
+        return Object.entries(checkins || {})
+            .filter(([attendeeId, checkin]) => !currentIds.has(attendeeId) && hasCheckin(checkin))
+            .map(([attendeeId, checkin]) => {
+                // Older IDs were built as gsheet_<name>_<row>, so the name can be recovered from them
+                const legacyName = attendeeId.startsWith('gsheet_') && /_\d+$/.test(attendeeId)
+                    ? attendeeId.replace(/^gsheet_/, '').replace(/_\d+$/, '').replace(/_/g, ' ')
+                    : '';
+                const name = checkin.attendeeName || legacyName;
+                
+                const candidates = name
+                    ? attendees.filter(attendee => normalizeName(attendee.attendeeName) === normalizeName(name))
+                    : [];
+                const suggestion = candidates.find(attendee => !hasCheckin(checkins[attendee.id])) || null;
+                
+                return {
+                    attendeeId,
+                    attendeeName: name,
+                    status: checkin.status,
+                    checkedInAt: checkin.checkedInAt || null,
+                    suggestedId: suggestion ? suggestion.id : ''
+                };
+            });
+    }
 }
 
 // Supabase Data Source
 class SupabaseDataSource extends BaseDataSource {
+    // Columns read by normalizeAttendeeData; set settings.columns to '*' to load everything
+    static DEFAULT_COLUMNS = 'id,table_number,group_name,attendee_name,ticket_type,ticket_code,email,additional_info,status,checked_in_at,checked_out_at,visits,row_index,is_walk_in,external_id,removed_at';
+    
+    // Rows per request; PostgREST caps a single response at 1,000 rows by default
+    static PAGE_SIZE = 1000;
+    
+    // Attendee table column of each editable field (see attendee-fields.js)
+    static FIELD_COLUMNS = {
+        attendeeName: 'attendee_name',
+        tableNumber: 'table_number',
+        groupName: 'group_name',
+        ticketType: 'ticket_type',
+        ticketCode: 'ticket_code',
+        email: 'email',
+        additionalInfo: 'additional_info',
+        externalId: 'external_id'
+    };
+    
     constructor(settings) {
         super(settings);
         this.supabase = null;
         this.realtimeSubscription = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.sessionStates = new Map(); // attendee id -> check-in state in the current session
+        this.sessionStatesFor = '';
 
         if (settings.url && settings.anonKey) {
             // Create Supabase client (uses public schema by default)
@@ -506,41 +991,305 @@ class SupabaseDataSource extends BaseDataSource {
         return false; // Uses real-time subscriptions instead
     }
     
-    async loadData() {
+    supportsEvents() {
+        return true;
+    }
+    
+    // Every event in the events table, or none when the table has not been created
+    async loadEvents() {
+        if (!this.supabase) {
+            throw new Error('Supabase not configured');
+        }
+        
+        const { data, error } = await this.supabase
+            .from(this.settings.eventsTableName || 'events')
+            .select('*');
+        
+        if (error) {
+            if (error.code === '42P01' || error.code === 'PGRST205') {
+                return [];
+            }
+            throw error;
+        }
+        
+        return window.EventRegistry.sort(data.map(row => window.EventRegistry.fromRow(row)));
+    }
+    
+    // Create an event (no id) or update one; returns the saved event
+    async saveEvent(event) {
+        if (!this.supabase) {
+            throw new Error('Supabase not configured');
+        }
+        
+        const table = this.supabase.from(this.settings.eventsTableName || 'events');
+        const row = window.EventRegistry.toRow(event);
+        const { data, error } = await (event.id
+            ? table.update({ ...row, updated_at: new Date().toISOString() }).eq('id', event.id)
+            : table.insert(row)
+        ).select().single();
+        
+        if (error) {
+            throw error;
+        }
+        
+        return window.EventRegistry.fromRow(data);
+    }
+    
+    // Move attendees that belong to no event (a single-event table) into an event
+    async assignUnscopedAttendees(eventId) {
+        const { error, count } = await this.supabase
+            .from(this.settings.tableName)
+            .update({ event_id: eventId }, { count: 'exact' })
+            .is('event_id', null);
+        
+        if (error) {
+            throw error;
+        }
+        
+        return count || 0;
+    }
+    
+    // Load every row in pages; onProgress(loaded, total) is called after each page.
+    // Attendees removed by an import are left out unless options.includeRemoved
+    async loadData(options = {}) {
         if (!this.supabase) {
             throw new Error('Supabase not configured. Please provide URL and API key.');
         }
         
+        const { onProgress, includeRemoved = false } = options;
+        const pageSize = this.settings.pageSize || SupabaseDataSource.PAGE_SIZE;
+        let columns = this.projectionUnsupported ? '*' : (this.settings.columns || SupabaseDataSource.DEFAULT_COLUMNS);
+        
         try {
-            const { data, error } = await this.supabase
-                .from(this.settings.tableName)
-                .select('*')
-                .order('attendee_name', { ascending: true });
+            const rows = [];
+            let total = null;
             
-            if (error) {
-                throw error;
+            while (true) {
+                const from = rows.length;
+                const { data, error, count } = await window.EventRegistry.scopeQuery(this.supabase
+                    .from(this.settings.tableName)
+                    .select(columns, from === 0 ? { count: 'exact' } : undefined))
+                    .order('attendee_name', { ascending: true })
+                    .order('id', { ascending: true }) // Tie-breaker keeps page boundaries stable
+                    .range(from, from + pageSize - 1);
+                
+                // Older tables may lack some projected columns (e.g. email); fall back to all columns
+                if (error && error.code === '42703' && columns !== '*') {
+                    console.warn('Supabase table is missing a projected column, loading all columns instead:', error.message);
+                    this.projectionUnsupported = true;
+                    columns = '*';
+                    rows.length = 0;
+                    continue;
+                }
+                
+                if (error) {
+                    throw error;
+                }
+                
+                if (typeof count === 'number') {
+                    total = count;
+                }
+                
+                rows.push(...data);
+                
+                if (onProgress) {
+                    onProgress(rows.length, total);
+                }
+                
+                // The server may cap pages below pageSize, so trust the total when we have it
+                const done = total !== null ? rows.length >= total : data.length < pageSize;
+                if (done || data.length === 0) {
+                    break;
+                }
             }
             
-            return this.normalizeAttendeeData(data);
+            await this.loadSessionStates();
+            const attendees = this.normalizeAttendeeData(rows);
+            return includeRemoved ? attendees : attendees.filter(attendee => !attendee.removedAt);
         } catch (error) {
             console.error('Supabase data load error:', error);
             throw error;
         }
     }
     
-    async saveData(data) {
+    // Load every attendee's check-in state for the current session from the session check-ins table
+    async loadSessionStates() {
+        const sessionId = window.EventSessions.current();
+        this.sessionStates = new Map();
+        this.sessionStatesFor = sessionId;
+        if (!sessionId) {
+            return;
+        }
+        
+        const pageSize = this.settings.pageSize || SupabaseDataSource.PAGE_SIZE;
+        while (true) {
+            const { data, error } = await this.supabase
+                .from(this.settings.sessionTableName || 'session_checkins')
+                .select('attendee_id,status,checked_in_at,checked_out_at,visits')
+                .eq('session_id', sessionId)
+                .order('attendee_id', { ascending: true })
+                .range(this.sessionStates.size, this.sessionStates.size + pageSize - 1);
+            
+            if (error) {
+                throw error;
+            }
+            
+            data.forEach(row => this.sessionStates.set(String(row.attendee_id), SupabaseDataSource.sessionState(row)));
+            if (data.length < pageSize) {
+                break;
+            }
+        }
+    }
+    
+    static sessionState(row) {
+        return {
+            status: row.status || 'pending',
+            checkedInAt: row.checked_in_at || null,
+            checkedOutAt: row.checked_out_at || null,
+            visits: Array.isArray(row.visits) ? row.visits : []
+        };
+    }
+    
+    // Import an attendee list. The default 'upsert' mode matches the list to
+    // the existing rows (see roster-upsert.js): new attendees are inserted and
+    // changed details updated, while check-in state is never touched;
+    // options.fields limits the compared details to the file's columns and
+    // options.removeMissing marks attendees missing from the list as removed.
+    // A failed batch undoes the batches already written. Resolves to the plan
+    // that was applied. mode 'replace' deletes the event's rows first.
+    async saveData(data, options = {}) {
         if (!this.supabase) {
             throw new Error('Supabase not configured');
         }
         
+        if (options.mode === 'replace') {
+            return this.replaceData(data);
+        }
+        
+        const eventId = window.EventRegistry.current();
+        const plan = window.RosterUpsert.plan(await this.loadData({ includeRemoved: true }), data, options);
+        const applied = { inserted: [], updated: [], removed: [] };
+        const batchSize = 100;
+        
+        try {
+            for (let i = 0; i < plan.inserts.length; i += batchSize) {
+                const batch = plan.inserts.slice(i, i + batchSize).map(attendee => ({
+                    ...(eventId ? { event_id: eventId } : {}),
+                    ...this.importRow(attendee),
+                    status: 'pending',
+                    row_index: attendee.rowIndex
+                }));
+                
+                const { data: rows, error } = await this.supabase
+                    .from(this.settings.tableName)
+                    .insert(batch)
+                    .select('id');
+                
+                if (error) {
+                    throw error;
+                }
+                applied.inserted.push(...rows.map(row => row.id));
+            }
+            
+            for (let i = 0; i < plan.updates.length; i += batchSize) {
+                const batch = plan.updates.slice(i, i + batchSize);
+                const { error } = await this.supabase
+                    .from(this.settings.tableName)
+                    .upsert(batch.map(({ before, fields }) => ({
+                        id: before.id,
+                        ...this.importRow({ ...before, ...fields }),
+                        removed_at: null
+                    })), { onConflict: 'id' });
+                
+                if (error) {
+                    throw error;
+                }
+                applied.updated.push(...batch);
+            }
+            
+            const removedAt = new Date().toISOString();
+            for (let i = 0; i < plan.removals.length; i += batchSize) {
+                const ids = plan.removals.slice(i, i + batchSize).map(attendee => attendee.id);
+                const { error } = await this.supabase
+                    .from(this.settings.tableName)
+                    .update({ removed_at: removedAt })
+                    .in('id', ids);
+                
+                if (error) {
+                    throw error;
+                }
+                applied.removed.push(...ids);
+            }
+        } catch (error) {
+            console.error('Supabase import error, undoing the batches already written:', error);
+            const undone = await this.rollbackImport(applied);
+            // Tables created before imports were supported lack the external_id and removed_at columns
+            const hint = error.code === '42703' ? ' (run the "Upgrading an existing database" block of supabase-setup.sql)' : '';
+            throw new Error(undone
+                ? `Import failed and was undone: ${error.message}${hint}`
+                : `Import failed part-way and could not be fully undone: ${error.message}${hint}`);
+        }
+        
+        const summary = window.RosterUpsert.describe(plan);
+        console.log(`✅ ${summary}`);
+        await this.writeAuditLog([window.AuditLog.createEntry('edit', { details: summary })]);
+        return plan;
+    }
+    
+    // Attendee table columns an import writes (never the check-in state)
+    importRow(attendee) {
+        const row = {};
+        Object.entries(SupabaseDataSource.FIELD_COLUMNS).forEach(([key, column]) => {
+            row[column] = attendee[key] || null;
+        });
+        return row;
+    }
+    
+    // Best-effort undo of a failed import; resolves to false if any step failed
+    async rollbackImport(applied) {
+        const table = () => this.supabase.from(this.settings.tableName);
+        const steps = [];
+        
+        if (applied.removed.length > 0) {
+            steps.push(() => table().update({ removed_at: null }).in('id', applied.removed));
+        }
+        if (applied.updated.length > 0) {
+            steps.push(() => table().upsert(applied.updated.map(({ before }) => ({
+                id: before.id,
+                ...this.importRow(before),
+                removed_at: before.removedAt || null
+            })), { onConflict: 'id' }));
+        }
+        if (applied.inserted.length > 0) {
+            steps.push(() => table().delete().in('id', applied.inserted));
+        }
+        
+        let undone = true;
+        for (const step of steps) {
+            try {
+                const { error } = await step();
+                if (error) {
+                    throw error;
+                }
+            } catch (error) {
+                console.error('Supabase import rollback error:', error);
+                undone = false;
+            }
+        }
+        return undone;
+    }
+    
+    async replaceData(data) {
         try {
-            // Clear existing data
-            await this.supabase.from(this.settings.tableName).delete().neq('id', 0);
+            // Clear existing data (of the current event only)
+            const eventId = window.EventRegistry.current();
+            await window.EventRegistry.scopeQuery(this.supabase.from(this.settings.tableName).delete().neq('id', 0), eventId);
             
             // Insert new data in batches
             const batchSize = 100;
             for (let i = 0; i < data.length; i += batchSize) {
                 const batch = data.slice(i, i + batchSize).map(attendee => ({
+                    ...(eventId ? { event_id: eventId } : {}),
                     table_number: attendee.tableNumber,
                     group_name: attendee.groupName,
                     attendee_name: attendee.attendeeName,
@@ -572,27 +1321,166 @@ class SupabaseDataSource extends BaseDataSource {
         }
         
         try {
-            const { error } = await this.supabase
-                .from(this.settings.tableName)
-                .update({
-                    status: updates.status,
-                    checked_in_at: updates.checkedInAt
-                })
-                .eq('id', attendeeId);
-            
-            if (error) {
-                throw error;
+            if (updates.session) {
+                await this.upsertSessionStates([{ attendeeId, updates }]);
+            } else {
+                await this.updateStatusRows(updates, query => query.eq('id', attendeeId));
             }
             
             console.log('✅ Updated attendee in Supabase');
+            await this.writeAuditLog([this.buildAuditEntry(attendeeId, updates)]);
         } catch (error) {
             console.error('Supabase update error:', error);
             throw error;
         }
     }
     
-    setupRealtimeSubscription() {
+    async updateAttendees(changes) {
         if (!this.supabase) {
+            throw new Error('Supabase not configured');
+        }
+        
+        // Session check-ins are one upsert
+        if (changes.some(({ updates }) => updates.session)) {
+            try {
+                await this.upsertSessionStates(changes);
+                console.log(`✅ Updated ${changes.length} session check-ins in Supabase`);
+                await this.writeAuditLog(changes.map(({ attendeeId, updates }) => this.buildAuditEntry(attendeeId, updates)));
+            } catch (error) {
+                console.error('Supabase session update error:', error);
+                throw error;
+            }
+            return;
+        }
+        
+        // One UPDATE ... WHERE id IN (...) per distinct set of values (a group check-in shares one)
+        const batches = new Map();
+        changes.forEach(({ attendeeId, updates }) => {
+            const key = JSON.stringify(this.statusRow(updates));
+            if (!batches.has(key)) {
+                batches.set(key, { updates, ids: [] });
+            }
+            batches.get(key).ids.push(attendeeId);
+        });
+        
+        try {
+            for (const { updates, ids } of batches.values()) {
+                await this.updateStatusRows(updates, query => query.in('id', ids));
+            }
+            
+            console.log(`✅ Updated ${changes.length} attendees in Supabase`);
+            await this.writeAuditLog(changes.map(({ attendeeId, updates }) => this.buildAuditEntry(attendeeId, updates)));
+        } catch (error) {
+            console.error('Supabase batch update error:', error);
+            throw error;
+        }
+    }
+    
+    // Columns written for a status update. Tables created before check-out
+    // support have no checked_out_at or visits columns, so those are left out there.
+    statusRow(updates) {
+        const row = {
+            status: updates.status,
+            checked_in_at: updates.checkedInAt
+        };
+        
+        if (!this.checkOutUnsupported) {
+            // Updates queued offline by older versions carry neither field
+            if (updates.checkedOutAt !== undefined) {
+                row.checked_out_at = updates.checkedOutAt;
+            }
+            if (updates.visits !== undefined) {
+                row.visits = updates.visits;
+            }
+        }
+        
+        return row;
+    }
+    
+    // Run a status update filtered by applyFilter, retrying without the check-out columns if the table lacks them
+    async updateStatusRows(updates, applyFilter) {
+        const run = () => applyFilter(this.supabase.from(this.settings.tableName).update(this.statusRow(updates)));
+        let { error } = await run();
+        
+        if (error && !this.checkOutUnsupported && (error.code === '42703' || error.code === 'PGRST204')) {
+            console.warn('Supabase table has no checked_out_at/visits columns; saving status without check-out history:', error.message);
+            this.checkOutUnsupported = true;
+            ({ error } = await run());
+        }
+        
+        if (error) {
+            throw error;
+        }
+    }
+    
+    // Write per-session check-in states ([{ attendeeId, updates }] with updates.session set)
+    async upsertSessionStates(changes) {
+        const { error } = await this.supabase
+            .from(this.settings.sessionTableName || 'session_checkins')
+            .upsert(changes.map(({ attendeeId, updates }) => ({
+                attendee_id: attendeeId,
+                session_id: updates.session,
+                status: updates.status,
+                checked_in_at: updates.checkedInAt,
+                checked_out_at: updates.checkedOutAt ?? null,
+                visits: updates.visits || [],
+                updated_at: new Date().toISOString()
+            })), { onConflict: 'attendee_id,session_id' });
+        
+        if (error) {
+            throw error;
+        }
+        
+        changes.forEach(({ attendeeId, updates }) => {
+            if (updates.session === this.sessionStatesFor) {
+                this.sessionStates.set(String(attendeeId), SupabaseDataSource.sessionState({
+                    status: updates.status,
+                    checked_in_at: updates.checkedInAt,
+                    checked_out_at: updates.checkedOutAt,
+                    visits: updates.visits
+                }));
+            }
+        });
+    }
+    
+    // Apply a real-time change from the session check-ins table to the loaded attendees
+    handleSessionRealtimeUpdate(payload) {
+        const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+        if (!row || row.session_id !== this.sessionStatesFor || !this.sessionStatesFor) {
+            return;
+        }
+        
+        const key = String(row.attendee_id);
+        if (payload.eventType === 'DELETE') {
+            this.sessionStates.delete(key);
+        } else {
+            this.sessionStates.set(key, SupabaseDataSource.sessionState(row));
+        }
+        
+        const current = window.attendees || [];
+        const index = current.findIndex(attendee => String(attendee.id) === key);
+        if (index < 0) {
+            return;
+        }
+        
+        let attendee = { ...current[index], ...(this.sessionStates.get(key) || window.EventSessions.EMPTY_STATE) };
+        // Unsynced offline check-ins stay on top of what the database reports
+        if (window.OfflineQueue) {
+            attendee = window.OfflineQueue.applyPending([attendee])[0];
+        }
+        window.attendees = current.map((a, i) => (i === index ? attendee : a));
+        window.updateDisplay();
+    }
+    
+    setupRealtimeSubscription(force = false) {
+        if (!this.supabase) {
+            return;
+        }
+        
+        // Already subscribed (the check-in page calls this after every data load);
+        // switching events needs a new channel, filtered on the new event
+        const eventId = window.EventRegistry.current();
+        if (this.realtimeSubscription && !force && this.subscribedEventId === eventId) {
             return;
         }
         
@@ -603,65 +1491,280 @@ class SupabaseDataSource extends BaseDataSource {
         
         console.log('Setting up Supabase real-time subscription...');
         
-        this.realtimeSubscription = this.supabase
-            .channel(`${this.settings.tableName}-changes`)
+        const channel = this.supabase
+            .channel(`${this.settings.tableName}-changes${eventId ? `-${eventId}` : ''}`)
             .on('postgres_changes', {
                 event: '*',
                 schema: 'public',
-                table: this.settings.tableName
+                table: this.settings.tableName,
+                ...(eventId ? { filter: `event_id=eq.${eventId}` } : {})
             }, (payload) => {
                 console.log('Real-time update received:', payload);
-                window.handleRealtimeUpdate(payload);
+                window.handleRealtimeUpdate(payload, this);
+            })
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: this.settings.sessionTableName || 'session_checkins'
+            }, (payload) => {
+                this.handleSessionRealtimeUpdate(payload);
             })
             .subscribe((status) => {
                 console.log('Real-time subscription status:', status);
+                
+                // Ignore status changes from a channel that has already been replaced
+                if (channel !== this.realtimeSubscription) {
+                    return;
+                }
+                
+                if (status === 'SUBSCRIBED' && this.reconnectAttempts > 0) {
+                    this.reconnectAttempts = 0;
+                    this.resync();
+                } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    this.scheduleReconnect();
+                }
             });
+        
+        this.realtimeSubscription = channel;
+        this.subscribedEventId = eventId;
+    }
+    
+    // Rebuild the channel with exponential backoff (1s, 2s, 4s ... up to 30s)
+    scheduleReconnect() {
+        if (this.reconnectTimer) {
+            return;
+        }
+        
+        const delay = Math.min(30000, 1000 * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+        console.warn(`Real-time channel lost, reconnecting in ${delay / 1000}s (attempt ${this.reconnectAttempts})`);
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.setupRealtimeSubscription(true);
+        }, delay);
     }
     
+    // Reload the whole table after a reconnect, since events may have been missed while down
+    async resync() {
+        try {
+            const data = await this.loadData();
+            window.handleDataSourceUpdate(data);
+            console.log('✅ Resynced attendees after real-time reconnect');
+        } catch (error) {
+            console.warn('Resync after real-time reconnect failed:', error);
+            this.scheduleReconnect();
+        }
+    }
+    
+    // Rows from the attendee table carry the event-wide state; with a session
+    // picked, the state loaded from the session check-ins table replaces it
     normalizeAttendeeData(data) {
+        const sessionStates = this.sessionStatesFor ? this.sessionStates : null;
         return data.map(row => ({
             id: row.id,
             tableNumber: (row.table_number || '').toString().trim(),
             groupName: (row.group_name || '').toString().trim(),
             attendeeName: (row.attendee_name || '').toString().trim(),
             ticketType: (row.ticket_type || '').toString().trim(),
+            ticketCode: (row.ticket_code || '').toString().trim(),
             email: (row.email || '').toString().trim(),
             additionalInfo: (row.additional_info || row.meal_choice || '').toString().trim(),
             status: row.status || 'pending',
             checkedInAt: row.checked_in_at,
-            rowIndex: row.row_index
+            checkedOutAt: row.checked_out_at || null,
+            visits: Array.isArray(row.visits) ? row.visits : [],
+            rowIndex: row.row_index,
+            walkIn: row.is_walk_in === true,
+            externalId: (row.external_id || '').toString().trim(),
+            removedAt: row.removed_at || null,
+            ...(sessionStates ? (sessionStates.get(String(row.id)) || window.EventSessions.EMPTY_STATE) : {})
         }));
     }
+    
+    async createAttendee(attendee, options = {}) {
+        if (!this.supabase) {
+            throw new Error('Supabase not configured');
+        }
+        
+        const walkIn = options.walkIn !== false;
+        const record = {
+            table_number: attendee.tableNumber,
+            group_name: attendee.groupName,
+            attendee_name: attendee.attendeeName,
+            ticket_type: attendee.ticketType,
+            email: attendee.email,
+            additional_info: attendee.additionalInfo,
+            status: 'pending',
+            is_walk_in: walkIn
+        };
+        if (attendee.ticketCode) {
+            record.ticket_code = attendee.ticketCode;
+        }
+        
+        const eventId = window.EventRegistry.current();
+        if (eventId) {
+            record.event_id = eventId;
+        }
+        
+        try {
+            let { data, error } = await this.supabase
+                .from(this.settings.tableName)
+                .insert(record)
+                .select()
+                .single();
+            
+            // Tables created before walk-in support have no is_walk_in column
+            if (error && error.code === '42703') {
+                console.warn('Supabase table has no is_walk_in column; saving walk-in without the flag:', error.message);
+                const { is_walk_in, ...legacyRecord } = record;
+                ({ data, error } = await this.supabase
+                    .from(this.settings.tableName)
+                    .insert(legacyRecord)
+                    .select()
+                    .single());
+            }
+            
+            if (error) {
+                throw error;
+            }
+            
+            console.log(walkIn ? '✅ Added walk-in to Supabase' : '✅ Added attendee to Supabase');
+            await this.writeAuditLog([{ ...this.buildCreateEntry(attendee, options), attendeeId: data.id }]);
+            return { ...this.normalizeAttendeeData([data])[0], walkIn };
+        } catch (error) {
+            console.error('Supabase insert error:', error);
+            throw error;
+        }
+    }
+    
+    async updateAttendeeFields(attendeeId, fields, audit) {
+        if (!this.supabase) {
+            throw new Error('Supabase not configured');
+        }
+        
+        const row = {};
+        Object.entries(fields).forEach(([key, value]) => {
+            if (SupabaseDataSource.FIELD_COLUMNS[key]) {
+                row[SupabaseDataSource.FIELD_COLUMNS[key]] = value;
+            }
+        });
+        
+        try {
+            const { data, error } = await this.supabase
+                .from(this.settings.tableName)
+                .update(row)
+                .eq('id', attendeeId)
+                .select()
+                .single();
+            
+            if (error) {
+                throw error;
+            }
+            
+            console.log('✅ Updated attendee details in Supabase');
+            await this.writeAuditLog([audit || window.AuditLog.createEntry('edit', { attendeeId, attendeeName: data.attendee_name })]);
+            return this.normalizeAttendeeData([data])[0];
+        } catch (error) {
+            console.error('Supabase update error:', error);
+            throw error;
+        }
+    }
+    
+    async deleteAttendee(attendeeId, audit) {
+        if (!this.supabase) {
+            throw new Error('Supabase not configured');
+        }
+        
+        try {
+            const { error } = await this.supabase
+                .from(this.settings.tableName)
+                .delete()
+                .eq('id', attendeeId);
+            
+            if (error) {
+                throw error;
+            }
+            
+            console.log('✅ Deleted attendee from Supabase');
+            // The log keeps the name; its attendee_id would point at the deleted row
+            await this.writeAuditLog([{ ...(audit || window.AuditLog.createEntry('edit', { details: 'Deleted' })), attendeeId: null }]);
+        } catch (error) {
+            console.error('Supabase delete error:', error);
+            throw error;
+        }
+    }
+    
+    // Append entries to the check_in_log table. A logging failure never blocks the check-in itself.
+    async writeAuditLog(entries) {
+        if (this.auditLogUnavailable || entries.length === 0) {
+            return;
+        }
+        
+        const { error } = await this.supabase
+            .from(this.settings.auditTableName || 'check_in_log')
+            .insert(entries.map(entry => window.AuditLog.toSupabaseRow(entry)));
+        
+        if (error) {
+            // Missing table: stop trying until the check_in_log section of supabase-setup.sql has been run
+            if (error.code === '42P01' || error.code === 'PGRST205') {
+                this.auditLogUnavailable = true;
+            }
+            console.warn('Failed to write check-in audit log:', error.message);
+        }
+    }
 }
 
-// Global handler for data source updates
+// Global handler for data source updates: merges by ID and only re-renders on change
 window.handleDataSourceUpdate = function(data) {
-    console.log('Data source update received:', data.length, 'attendees');
-    window.attendees = data;
+    // Unsynced offline check-ins stay on top of what the source reports
+    const incoming = window.OfflineQueue ? window.OfflineQueue.applyPending(data) : data;
+    const diff = window.DataSourceManager.mergeAttendees(window.attendees || [], incoming);
+    
+    if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+        return diff;
+    }
+    
+    console.log(`Data source update: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+    window.attendees = diff.attendees;
     window.updateDisplay();
+    return diff;
 };
 
-// Global handler for real-time updates
-window.handleRealtimeUpdate = function(payload) {
+// Global handler for real-time updates (Supabase INSERT, UPDATE and DELETE)
+window.handleRealtimeUpdate = function(payload, source = window.DataSourceManager.getCurrentSource()) {
     const { eventType, new: newRecord, old: oldRecord } = payload;
+    const current = window.attendees || [];
+    let next = null;
     
-    if (eventType === 'UPDATE' && newRecord) {
-        // Find and update the local record
-        const index = window.attendees.findIndex(a => a.id === newRecord.id);
-        if (index >= 0) {
-            window.attendees[index] = {
-                id: newRecord.id,
-                tableNumber: (newRecord.table_number || '').toString().trim(),
-                groupName: (newRecord.group_name || '').toString().trim(),
-                attendeeName: (newRecord.attendee_name || '').toString().trim(),
-                ticketType: (newRecord.ticket_type || '').toString().trim(),
-                status: newRecord.status || 'pending',
-                checkedInAt: newRecord.checked_in_at,
-                rowIndex: newRecord.row_index
-            };
-            
-            console.log('✅ Updated local record from real-time sync');
-            window.updateDisplay();
+    // Attendees removed by an import leave the list like deleted ones
+    if (eventType === 'UPDATE' && newRecord?.removed_at) {
+        const remaining = current.filter(a => String(a.id) !== String(newRecord.id));
+        if (remaining.length !== current.length) {
+            next = remaining;
         }
+    } else if ((eventType === 'INSERT' || eventType === 'UPDATE') && newRecord) {
+        let attendee = source.normalizeAttendeeData([newRecord])[0];
+        
+        // Unsynced offline check-ins stay on top of what the database reports
+        if (window.OfflineQueue) {
+            attendee = window.OfflineQueue.applyPending([attendee])[0];
+        }
+        
+        const index = current.findIndex(a => String(a.id) === String(attendee.id));
+        next = index >= 0
+            ? current.map((a, i) => (i === index ? attendee : a))
+            : [...current, attendee];
+    } else if (eventType === 'DELETE' && oldRecord?.id !== undefined) {
+        const remaining = current.filter(a => String(a.id) !== String(oldRecord.id));
+        if (remaining.length !== current.length) {
+            next = remaining;
+        }
+    }
+    
+    if (next) {
+        window.attendees = next;
+        console.log(`✅ Applied real-time ${eventType} to local records`);
+        window.updateDisplay();
     }
 };
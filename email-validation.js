@@ -197,13 +197,14 @@
         /**
          * Escapes HTML entities to prevent XSS attacks
          *
-         * @param {string} text - Text to escape
-         * @returns {string} Escaped text
-         * @private
+         * Also used by the other modules that build HTML.
+         *
+         * @param {string} text - Text to escape (null and undefined give '')
+         * @returns {string} Escaped text, safe between tags but not inside attributes
          */
         escapeHtml(text) {
             const div = document.createElement('div');
-            div.textContent = text;
+            div.textContent = text ?? '';
             return div.innerHTML;
         },
 
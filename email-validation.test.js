@@ -19,6 +19,19 @@ const TestRunner = {
         }
     },
 
+    // For tests of async code; await it so results stay in order
+    async testAsync(description, fn) {
+        try {
+            await fn();
+            this.results.push({ description, status: 'PASS', error: null });
+            console.log(`✓ ${description}`);
+        } catch (error) {
+            this.results.push({ description, status: 'FAIL', error: error.message });
+            console.error(`✗ ${description}`);
+            console.error(`  ${error.message}`);
+        }
+    },
+
     assert(condition, message) {
         if (!condition) {
             throw new Error(message || 'Assertion failed');
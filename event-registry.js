@@ -0,0 +1,167 @@
+/**
+ * Event Registry Module
+ * Several events in one deployment
+ *
+ * Events live in the Supabase `events` table and attendees belong to one
+ * through `event_id`. Admins create and archive events under Admin → Event
+ * Settings; each device remembers the event it is working on, picked from
+ * the selector on the check-in screen or the admin dashboard. With no
+ * event picked (or no events table), the whole attendee table is used,
+ * as in a single-event deployment.
+ *
+ * @module EventRegistry
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORAGE_KEY = 'eventCheckinEvent';
+
+    const ACTIVE = 'active';
+    const ARCHIVED = 'archived';
+
+    const EventRegistry = {
+        ACTIVE,
+        ARCHIVED,
+
+        /**
+         * Converts an events table row to an event
+         *
+         * @param {Object} row - Supabase row
+         * @returns {Object} { id, name, subtitle, date, time, location, primaryColor, status }
+         */
+        fromRow(row) {
+            return {
+                id: String(row.id),
+                name: (row.event_name || '').toString().trim(),
+                subtitle: (row.event_subtitle || '').toString().trim(),
+                date: row.event_date || '',
+                time: row.event_time ? String(row.event_time).slice(0, 5) : '',
+                location: (row.event_location || '').toString().trim(),
+                primaryColor: row.primary_color || null,
+                status: row.status || ACTIVE
+            };
+        },
+
+        /**
+         * Converts an event back to an events table row (without the id)
+         *
+         * @param {Object} event - Event from fromRow()
+         * @returns {Object} Supabase row
+         */
+        toRow(event) {
+            return {
+                event_name: event.name,
+                event_subtitle: event.subtitle || null,
+                event_date: event.date || null,
+                event_time: event.time || null,
+                event_location: event.location || null,
+                primary_color: event.primaryColor || null,
+                status: event.status || ACTIVE
+            };
+        },
+
+        /**
+         * @param {Object} event
+         * @returns {boolean}
+         */
+        isArchived(event) {
+            return event?.status === ARCHIVED;
+        },
+
+        /**
+         * Orders events for the selectors: open events first, soonest date
+         * first (undated last), then by name
+         *
+         * @param {Array<Object>} events
+         * @returns {Array<Object>} A sorted copy
+         */
+        sort(events) {
+            return [...events].sort((a, b) =>
+                Number(this.isArchived(a)) - Number(this.isArchived(b)) ||
+                (a.date || '9999').localeCompare(b.date || '9999') ||
+                a.name.localeCompare(b.name));
+        },
+
+        /**
+         * The event this device is working on
+         *
+         * @returns {string} Event id, or '' for the whole attendee table
+         */
+        current() {
+            return localStorage.getItem(STORAGE_KEY) || '';
+        },
+
+        /**
+         * @param {string} id - Event id, or '' for the whole attendee table
+         */
+        setCurrent(id) {
+            if (id) {
+                localStorage.setItem(STORAGE_KEY, String(id));
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        },
+
+        /**
+         * The event to work on: the remembered one if it still exists,
+         * otherwise the first open event
+         *
+         * @param {Array<Object>} events - Known events
+         * @param {string} [id] - Defaults to the current event
+         * @returns {Object|null} null when there are no events to pick from
+         */
+        resolve(events, id = this.current()) {
+            return events.find(event => event.id === String(id)) ||
+                this.sort(events).find(event => !this.isArchived(event)) ||
+                null;
+        },
+
+        /**
+         * Limits a Supabase query to the attendees of an event
+         *
+         * @param {Object} query - Supabase query builder on the attendee table
+         * @param {string} [eventId] - Defaults to the current event
+         * @returns {Object} The query, filtered on event_id when an event is picked
+         */
+        scopeQuery(query, eventId = this.current()) {
+            return eventId ? query.eq('event_id', eventId) : query;
+        },
+
+        /**
+         * Config values shown for an event (title, subtitle, details and color)
+         *
+         * @param {Object} event
+         * @returns {Object} Partial EventCheckinConfig
+         */
+        configPatch(event) {
+            const patch = {
+                eventTitle: event.name,
+                eventSubtitle: event.subtitle,
+                eventDate: event.date,
+                eventTime: event.time,
+                eventLocation: event.location
+            };
+            if (event.primaryColor) {
+                patch.primaryColor = event.primaryColor;
+            }
+            return patch;
+        },
+
+        /**
+         * Selector label, e.g. "Spring Gala (2026-05-01)" or "Old Gala (archived)"
+         *
+         * @param {Object} event
+         * @returns {string}
+         */
+        label(event) {
+            const note = this.isArchived(event) ? 'archived' : event.date;
+            return note ? `${event.name} (${note})` : event.name;
+        }
+    };
+
+    // Expose to window object
+    window.EventRegistry = EventRegistry;
+
+})(window);
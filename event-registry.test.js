@@ -0,0 +1,108 @@
+/**
+ * Event Registry Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runEventRegistryTests() {
+    console.log('\nRunning Event Registry Tests...\n');
+
+    const EventRegistry = window.EventRegistry;
+
+    // Runs a check with a picked event, then restores the one picked before
+    const withCurrent = (id, check) => {
+        const picked = EventRegistry.current();
+        EventRegistry.setCurrent(id);
+        try {
+            check();
+        } finally {
+            EventRegistry.setCurrent(picked);
+        }
+    };
+
+    const events = [
+        { id: '3', name: 'Old Gala', date: '2025-05-01', status: 'archived' },
+        { id: '2', name: 'Summer Party', date: '2026-07-01', status: 'active' },
+        { id: '1', name: 'Spring Gala', date: '2026-05-01', status: 'active' },
+        { id: '4', name: 'Board Dinner', date: '', status: 'active' }
+    ];
+
+    // Rows
+    TestRunner.test('Converts events table rows', () => {
+        const event = EventRegistry.fromRow({
+            id: 7,
+            event_name: ' Spring Gala ',
+            event_date: '2026-05-01',
+            event_time: '18:30:00',
+            primary_color: '#ff0000',
+            status: null
+        });
+        TestRunner.assertEqual(JSON.stringify(event), JSON.stringify({
+            id: '7', name: 'Spring Gala', subtitle: '', date: '2026-05-01', time: '18:30',
+            location: '', primaryColor: '#ff0000', status: 'active'
+        }));
+    });
+
+    TestRunner.test('Stores empty details as null', () => {
+        const row = EventRegistry.toRow({ name: 'Spring Gala', date: '', time: '' });
+        TestRunner.assertEqual(row.event_name, 'Spring Gala');
+        TestRunner.assertEqual(row.event_date, null);
+        TestRunner.assertEqual(row.event_time, null);
+        TestRunner.assertEqual(row.status, 'active');
+    });
+
+    // Ordering and picking
+    TestRunner.test('Sorts open events by date, undated and archived last', () => {
+        const ids = EventRegistry.sort(events).map(event => event.id);
+        TestRunner.assertEqual(JSON.stringify(ids), JSON.stringify(['1', '2', '4', '3']));
+        TestRunner.assertEqual(events[0].id, '3', 'sorting should not change the list passed in');
+    });
+
+    TestRunner.test('Keeps the remembered event', () => {
+        withCurrent('2', () => {
+            TestRunner.assertEqual(EventRegistry.current(), '2');
+            TestRunner.assertEqual(EventRegistry.resolve(events).name, 'Summer Party');
+        });
+    });
+
+    TestRunner.test('Falls back to the first open event', () => {
+        withCurrent('99', () => {
+            TestRunner.assertEqual(EventRegistry.resolve(events).id, '1');
+        });
+        TestRunner.assertEqual(EventRegistry.resolve([{ id: '3', name: 'Old Gala', status: 'archived' }], ''), null);
+        TestRunner.assertEqual(EventRegistry.resolve([], '1'), null);
+    });
+
+    TestRunner.test('Scopes queries to the picked event only', () => {
+        const calls = [];
+        const query = { eq: (column, value) => { calls.push([column, value]); return query; } };
+        withCurrent('', () => {
+            EventRegistry.scopeQuery(query);
+        });
+        TestRunner.assertEqual(calls.length, 0);
+        withCurrent('2', () => {
+            EventRegistry.scopeQuery(query);
+        });
+        TestRunner.assertEqual(JSON.stringify(calls), JSON.stringify([['event_id', '2']]));
+    });
+
+    // Display
+    TestRunner.test('Shows the event title and details in the config', () => {
+        const patch = EventRegistry.configPatch({ name: 'Spring Gala', subtitle: 'Check-in', date: '2026-05-01', time: '', location: 'Hall A', primaryColor: null });
+        TestRunner.assertEqual(patch.eventTitle, 'Spring Gala');
+        TestRunner.assertEqual(patch.eventLocation, 'Hall A');
+        TestRunner.assertEqual('primaryColor' in patch, false);
+    });
+
+    TestRunner.test('Labels events with their date or archived', () => {
+        TestRunner.assertEqual(EventRegistry.label(events[2]), 'Spring Gala (2026-05-01)');
+        TestRunner.assertEqual(EventRegistry.label(events[0]), 'Old Gala (archived)');
+        TestRunner.assertEqual(EventRegistry.label(events[3]), 'Board Dinner');
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runEventRegistryTests = runEventRegistryTests;
+}
@@ -0,0 +1,139 @@
+/**
+ * Event Sessions Module
+ * Separate check-in for each session of a multi-day or multi-track event
+ *
+ * Admins define the sessions (keynote, breakouts, dinner...) under Admin →
+ * Event Settings. Each check-in device picks the session it is checking
+ * in for, and is remembered per device. With no session picked, check-ins
+ * apply to the event as a whole, as they do when no sessions are defined.
+ *
+ * Data sources keep one check-in state ({ status, checkedInAt,
+ * checkedOutAt, visits }) per attendee and session, and load attendees
+ * with the state of the picked session.
+ *
+ * @module EventSessions
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORAGE_KEY = 'eventCheckinSession';
+
+    /**
+     * Check-in state of an attendee who has not checked in to a session yet
+     */
+    const EMPTY_STATE = Object.freeze({ status: 'pending', checkedInAt: null, checkedOutAt: null, visits: Object.freeze([]) });
+
+    // Normalized list for the configured array, rebuilt when the config is replaced
+    let cache = { source: null, list: [] };
+
+    const EventSessions = {
+        EMPTY_STATE,
+
+        /**
+         * Cleans up a configured session list
+         *
+         * Drops sessions without a name and repeated ids; ids are made from
+         * the name when missing.
+         *
+         * @param {Array<Object>} sessions - Configured sessions
+         * @returns {Array<{id: string, name: string}>}
+         */
+        normalize(sessions) {
+            const seen = new Set();
+            const list = [];
+
+            (Array.isArray(sessions) ? sessions : []).forEach(session => {
+                const name = String(session?.name ?? '').trim();
+                const id = String(session?.id || window.AttendeeStatuses.slugify(name)).trim();
+                if (!name || !id || seen.has(id)) {
+                    return;
+                }
+                seen.add(id);
+                list.push({ id, name });
+            });
+
+            return list;
+        },
+
+        /**
+         * The configured sessions (shared; copy before changing)
+         *
+         * @returns {Array<{id: string, name: string}>}
+         */
+        list() {
+            const source = window.EventCheckinConfig?.sessions || [];
+            if (cache.source !== source) {
+                cache = { source, list: this.normalize(source) };
+            }
+            return cache.list;
+        },
+
+        /**
+         * @param {string} id - Session id
+         * @returns {Object|null} The session, or null if it is not configured
+         */
+        get(id) {
+            return this.list().find(session => session.id === id) || null;
+        },
+
+        /**
+         * The session this device is checking in for
+         *
+         * @returns {string} Session id, or '' for the whole event
+         */
+        current() {
+            const id = localStorage.getItem(STORAGE_KEY) || '';
+            return this.get(id) ? id : '';
+        },
+
+        /**
+         * @param {string} id - Session id, or '' for the whole event
+         */
+        setCurrent(id) {
+            if (id) {
+                localStorage.setItem(STORAGE_KEY, id);
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        },
+
+        /**
+         * Picks the check-in state to show from a stored check-in record
+         *
+         * Records keep per-session states under record.sessions[sessionId].
+         *
+         * @param {Object} [record] - Stored check-in record of one attendee
+         * @param {string} [sessionId] - Defaults to the current session
+         * @returns {Object|null} State of the session (EMPTY_STATE when the
+         *   attendee has none), or the record itself for the whole event
+         */
+        select(record, sessionId = this.current()) {
+            if (!sessionId) {
+                return record || null;
+            }
+            return record?.sessions?.[sessionId] || EMPTY_STATE;
+        },
+
+        /**
+         * Per-session check-in counts from stored check-in records
+         *
+         * @param {Array<Object>} records - Stored check-in records (with a sessions map)
+         * @returns {Object<string, {present: number, arrived: number}>} Counts per session id
+         */
+        counts(records) {
+            const counts = {};
+            this.list().forEach(session => {
+                const states = records.map(record => record?.sessions?.[session.id]).filter(Boolean);
+                const { present, arrived } = window.AttendeeStatuses.counts(states);
+                counts[session.id] = { present, arrived };
+            });
+            return counts;
+        }
+    };
+
+    // Expose to window object
+    window.EventSessions = EventSessions;
+
+})(window);
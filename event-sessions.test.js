@@ -0,0 +1,122 @@
+/**
+ * Event Sessions Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runEventSessionsTests() {
+    console.log('\nRunning Event Sessions Tests...\n');
+
+    const EventSessions = window.EventSessions;
+
+    // Runs a check against a configured session list, then restores the config and the picked session
+    const withSessions = (sessions, check) => {
+        const config = window.EventCheckinConfig;
+        const picked = localStorage.getItem('eventCheckinSession');
+        window.EventCheckinConfig = { ...(config || {}), sessions };
+        try {
+            check();
+        } finally {
+            window.EventCheckinConfig = config;
+            EventSessions.setCurrent(picked || '');
+        }
+    };
+
+    const configured = [
+        { id: 'day-1', name: 'Day 1' },
+        { id: 'gala', name: 'Gala Dinner' }
+    ];
+
+    const t1 = '2026-05-01T18:00:00.000Z';
+    const record = {
+        status: 'checked-in',
+        checkedInAt: t1,
+        sessions: {
+            'day-1': { status: 'checked-out', checkedInAt: t1, checkedOutAt: t1, visits: [{ in: t1, out: t1 }] },
+            gala: { status: 'checked-in', checkedInAt: t1, visits: [{ in: t1, out: null }] }
+        }
+    };
+
+    // Normalizing
+    TestRunner.test('Makes ids from names and drops unnamed and repeated sessions', () => {
+        const list = EventSessions.normalize([
+            { name: 'Day 1 Keynote' },
+            { id: 'gala', name: 'Gala Dinner' },
+            { id: 'gala', name: 'Gala again' },
+            { name: '  ' }
+        ]);
+        TestRunner.assertEqual(JSON.stringify(list), JSON.stringify([
+            { id: 'day-1-keynote', name: 'Day 1 Keynote' },
+            { id: 'gala', name: 'Gala Dinner' }
+        ]));
+    });
+
+    TestRunner.test('No sessions are configured by default', () => {
+        withSessions(undefined, () => {
+            TestRunner.assertEqual(EventSessions.list().length, 0);
+            TestRunner.assertEqual(EventSessions.get('day-1'), null);
+        });
+    });
+
+    // Picking a session
+    TestRunner.test('Remembers the picked session', () => {
+        withSessions(configured, () => {
+            EventSessions.setCurrent('gala');
+            TestRunner.assertEqual(EventSessions.current(), 'gala');
+            EventSessions.setCurrent('');
+            TestRunner.assertEqual(EventSessions.current(), '');
+        });
+    });
+
+    TestRunner.test('A removed session falls back to the whole event', () => {
+        withSessions(configured, () => {
+            EventSessions.setCurrent('gala');
+        });
+        withSessions([{ id: 'day-1', name: 'Day 1' }], () => {
+            localStorage.setItem('eventCheckinSession', 'gala');
+            TestRunner.assertEqual(EventSessions.current(), '');
+        });
+    });
+
+    // Check-in state per session
+    TestRunner.test('Whole-event check-ins use the record itself', () => {
+        withSessions(configured, () => {
+            TestRunner.assertEqual(EventSessions.select(record, ''), record);
+            TestRunner.assertEqual(EventSessions.select(undefined, ''), null);
+        });
+    });
+
+    TestRunner.test('Picks the state of the session', () => {
+        withSessions(configured, () => {
+            TestRunner.assertEqual(EventSessions.select(record, 'day-1').status, 'checked-out');
+            EventSessions.setCurrent('gala');
+            TestRunner.assertEqual(EventSessions.select(record).status, 'checked-in');
+        });
+    });
+
+    TestRunner.test('Attendees without a session check-in are pending in that session', () => {
+        withSessions([...configured, { id: 'workshop', name: 'Workshop' }], () => {
+            TestRunner.assertEqual(EventSessions.select(record, 'workshop').status, 'pending');
+            TestRunner.assertEqual(EventSessions.select(undefined, 'workshop').checkedInAt, null);
+        });
+    });
+
+    TestRunner.test('Counts who is present and who arrived per session', () => {
+        withSessions(configured, () => {
+            const counts = EventSessions.counts([record, { status: 'pending' }, {
+                status: 'pending',
+                sessions: { gala: { status: 'checked-in' } }
+            }]);
+            TestRunner.assertEqual(JSON.stringify(counts), JSON.stringify({
+                'day-1': { present: 0, arrived: 1 },
+                gala: { present: 2, arrived: 2 }
+            }));
+        });
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runEventSessionsTests = runEventSessionsTests;
+}
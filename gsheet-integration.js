@@ -120,27 +120,14 @@ window.GoogleSheetsIntegration = {
     },
     
     // Parse CSV data
-    parseCsvData(csvText) {
-        try {
-            // Try using XLSX library first (handles various formats)
-            const workbook = XLSX.read(csvText, { type: 'string' });
-            const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-            const rows = XLSX.utils.sheet_to_json(firstSheet, { header: 1, blankrows: false });
-            return this.parseSheetRows(rows);
-        } catch (error) {
-            console.warn('XLSX parsing failed, trying manual CSV parsing:', error);
-            
-            // Fallback to manual CSV parsing
-            const lines = csvText.split('\n');
-            const dataRows = lines.slice(1).filter(line => line.trim());
-            
-            return dataRows.map((line, index) => {
-                const values = line.split(',').map(value => 
-                    value.trim().replace(/^"|"$/g, '') // Remove quotes
-                );
-                return this.normalizeAttendee(values, index + 2);
-            }).filter(Boolean);
-        }
+    parseCsvData(csvText, mappingKey = 'googlesheets') {
+        const { rows, errors } = window.CsvParser.parse(csvText);
+        
+        errors.forEach(error => {
+            console.warn('CSV parse error:', window.CsvParser.formatError(error));
+        });
+        
+        return this.parseSheetRows(rows, mappingKey);
     },
     
     // Parse uploaded file
@@ -153,13 +140,13 @@ window.GoogleSheetsIntegration = {
                     let data;
                     
                     if (file.name.endsWith('.csv')) {
-                        data = this.parseCsvData(e.target.result);
+                        data = this.parseCsvData(e.target.result, 'csv');
                     } else {
                         // Handle Excel files
                         const workbook = XLSX.read(e.target.result, { type: 'array' });
                         const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
                         const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-                        data = this.parseSheetRows(jsonData);
+                        data = this.parseSheetRows(jsonData, 'csv');
                     }
                     
                     resolve(data);
@@ -178,22 +165,28 @@ window.GoogleSheetsIntegration = {
         });
     },
     
-    // Parse sheet rows
-    parseSheetRows(rows) {
+    // Parse sheet rows, mapping columns from the header row
+    parseSheetRows(rows, mappingKey = 'googlesheets') {
+        const { columns } = window.ColumnMapping.resolve(rows[0], window.ColumnMapping.getSavedMapping(mappingKey));
+        
         return rows
             .slice(1) // Skip header row
-            .filter(row => row && (row[0] || row[1] || row[2])) // Keep rows with data
-            .map((row, index) => this.normalizeAttendee(row, index + 2))
+            .filter(row => row && row.some(cell => cell)) // Keep rows with data
+            .map((row, index) => this.normalizeAttendee(row, index + 2, columns))
             .filter(Boolean);
     },
     
     // Normalize attendee data
-    normalizeAttendee(values, rowIndex) {
+    normalizeAttendee(values, rowIndex, columns = window.ColumnMapping.DEFAULT_LAYOUT) {
+        const fields = window.ColumnMapping.mapRow(values, columns);
         const attendee = {
-            tableNumber: (values[0] || '').toString().trim(),
-            groupName: (values[1] || '').toString().trim(),
-            attendeeName: (values[2] || '').toString().trim(),
-            ticketType: (values[3] || '').toString().trim(),
+            tableNumber: fields.tableNumber,
+            groupName: fields.groupName,
+            attendeeName: fields.attendeeName,
+            ticketType: fields.ticketType,
+            ticketCode: fields.ticketCode,
+            email: fields.email,
+            additionalInfo: fields.additionalInfo,
             status: 'pending',
             rowIndex
         };
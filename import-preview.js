@@ -0,0 +1,312 @@
+/**
+ * Import Preview Module
+ * Dry run of a roster upload, shown for confirmation before anything is replaced
+ *
+ * Reads a CSV the same way csv-handler.php does (column mapping, row ids
+ * "csv_<row>", rows without a name skipped, invalid emails dropped) and
+ * compares the result with the roster on the server: new, changed and
+ * removed attendees, and checked-in attendees whose check-in would no
+ * longer match them. Check-ins are stored by row id, so an attendee who
+ * moves to another row loses theirs, and whoever lands on their old row
+ * takes it over.
+ *
+ * @module ImportPreview
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Ids of uploaded rows; walk-ins and attendees added in the dashboard
+     * are kept by an upload and left out of the comparison
+     */
+    const ROSTER_ID_PREFIX = 'csv_';
+
+    /**
+     * Entries shown per list in the dialog
+     */
+    const LIST_LIMIT = 50;
+
+    const escapeHtml = text => window.EmailValidator.escapeHtml(text);
+
+    const hasArrived = attendee => window.AttendeeStatuses.hasArrived(attendee);
+
+    const ImportPreview = {
+        ROSTER_ID_PREFIX,
+
+        /**
+         * Reads CSV text as an upload would
+         *
+         * @param {string} text - File contents
+         * @param {Object} [override] - Saved column mapping (defaults to the CSV one)
+         * @returns {Object} See fromRows(); parse problems are added to warnings
+         */
+        fromCsv(text, override = window.ColumnMapping.getSavedMapping('csv')) {
+            // Empty lines are kept so row numbers (and ids) match the server's
+            const { rows, errors } = window.CsvParser.parse(text, { skipEmptyLines: false });
+            const preview = this.fromRows(rows, override);
+            preview.warnings = errors.map(error => window.CsvParser.formatError(error));
+            return preview;
+        },
+
+        /**
+         * Maps parsed rows to the attendees an upload would create
+         *
+         * @param {Array<Array<string>>} rows - All rows of the file, empty ones included
+         * @param {Object} [override] - Saved column mapping
+         * @returns {{attendees: Array<Object>, mapping: Array<{label: string, header: string}>, mappedFields: Array<string>,
+         *   detected: boolean, skipped: Array<{rowIndex: number, reason: string}>, invalidEmails: Array<Object>, warnings: Array<string>}}
+         *   mappedFields lists the AttendeeFields keys the file has a column for;
+         *   detected is false when the first row is not a header and the positional layout is used
+         */
+        fromRows(rows, override = null) {
+            const attendees = [];
+            const skipped = [];
+            const invalidEmails = [];
+            let columns = null;
+            let headerRow = null;
+
+            rows.forEach((row, index) => {
+                // Row numbers as csv-handler.php counts them
+                const rowIndex = index + 2;
+                if (!row || !row.some(cell => String(cell ?? '').trim())) {
+                    return;
+                }
+
+                if (columns === null) {
+                    const resolved = window.ColumnMapping.resolve(row, override);
+                    columns = resolved.columns;
+                    if (resolved.detected) {
+                        headerRow = row;
+                        return;
+                    }
+                }
+
+                const fields = window.ColumnMapping.mapRow(row, columns);
+                if (!fields.attendeeName) {
+                    skipped.push({ rowIndex, reason: 'No attendee name' });
+                    return;
+                }
+
+                let email = '';
+                if (fields.email) {
+                    const result = window.EmailValidator.validate(fields.email);
+                    if (result.valid) {
+                        email = result.sanitized;
+                    } else {
+                        invalidEmails.push({ rowIndex, attendeeName: fields.attendeeName, email: fields.email, error: result.error });
+                    }
+                }
+
+                attendees.push({
+                    id: `${ROSTER_ID_PREFIX}${rowIndex}`,
+                    tableNumber: fields.tableNumber || 'General',
+                    groupName: fields.groupName || fields.ticketType,
+                    attendeeName: fields.attendeeName,
+                    ticketType: fields.ticketType,
+                    ticketCode: fields.ticketCode,
+                    externalId: fields.id,
+                    email,
+                    additionalInfo: fields.additionalInfo,
+                    status: 'pending',
+                    rowIndex
+                });
+            });
+
+            const mapping = window.ColumnMapping.FIELDS
+                .filter(field => columns?.[field.key] !== undefined)
+                .map(field => ({
+                    label: field.label,
+                    header: headerRow ? String(headerRow[columns[field.key]] ?? '').trim() : `Column ${columns[field.key] + 1}`
+                }));
+
+            const mappedFields = window.AttendeeFields.FIELDS
+                .map(field => field.key)
+                .filter(key => columns?.[key] !== undefined ||
+                    (key === 'attendeeName' && (columns?.firstName !== undefined || columns?.lastName !== undefined)));
+
+            return { attendees, mapping, mappedFields, detected: headerRow !== null, skipped, invalidEmails, warnings: [] };
+        },
+
+        /**
+         * Compares the attendees of an upload with the current roster
+         *
+         * Attendees are matched by ticket code, then name and email, then name.
+         *
+         * @param {Array<Object>} current - Attendees loaded from the server, with check-in state
+         * @param {Array<Object>} incoming - Attendees from fromRows()
+         * @returns {{added: Array<Object>, changed: Array<{before: Object, after: Object, fields: Array<string>}>,
+         *   removed: Array<Object>, unchanged: number, losingCheckins: Array<Object>,
+         *   takingCheckins: Array<{attendee: Object, from: Object}>}}
+         *   losingCheckins lists current attendees who have arrived and are removed or moved to another row;
+         *   takingCheckins lists incoming attendees whose row id holds the check-in of someone else
+         */
+        diff(current, incoming) {
+            const roster = current.filter(attendee => String(attendee.id).startsWith(ROSTER_ID_PREFIX));
+            const { KEYS } = window.AttendeeMatch;
+            const matches = window.AttendeeMatch.match(incoming, roster, [KEYS.ticketCode, KEYS.emailAndName, KEYS.name]);
+            const matched = new Set(matches.values());
+            const byId = new Map(roster.map(attendee => [String(attendee.id), attendee]));
+
+            const result = { added: [], changed: [], removed: [], unchanged: 0, losingCheckins: [], takingCheckins: [] };
+
+            incoming.forEach(attendee => {
+                const before = matches.get(attendee);
+                const holder = byId.get(String(attendee.id));
+                if (holder && holder !== before && hasArrived(holder)) {
+                    result.takingCheckins.push({ attendee, from: holder });
+                }
+
+                if (!before) {
+                    result.added.push(attendee);
+                    return;
+                }
+
+                const fields = Object.keys(window.AttendeeFields.changes(before, attendee));
+                if (fields.length > 0) {
+                    result.changed.push({ before, after: attendee, fields });
+                } else {
+                    result.unchanged++;
+                }
+                if (hasArrived(before) && String(before.id) !== attendee.id) {
+                    result.losingCheckins.push(before);
+                }
+            });
+
+            result.removed = roster.filter(attendee => !matched.has(attendee));
+            result.losingCheckins.push(...result.removed.filter(hasArrived));
+
+            return result;
+        },
+
+        /**
+         * Reads an upload and compares it with the current roster
+         *
+         * @param {string} text - CSV file contents
+         * @param {Array<Object>} current - Current roster
+         * @returns {Object} fromCsv() result with a diff property
+         */
+        build(text, current) {
+            const preview = this.fromCsv(text);
+            preview.diff = this.diff(current, preview.attendees);
+            return preview;
+        },
+
+        /**
+         * One-paragraph summary of a preview
+         *
+         * @param {Object} preview - Result of build()
+         * @returns {string}
+         */
+        summary(preview) {
+            const { diff } = preview;
+            const parts = [
+                `${preview.attendees.length} attendee(s) to import`,
+                `${diff.added.length} new`,
+                `${diff.changed.length} changed`,
+                `${diff.removed.length} removed`,
+                `${diff.unchanged} unchanged`
+            ];
+            if (preview.skipped.length > 0) {
+                parts.push(`${preview.skipped.length} row(s) skipped`);
+            }
+            if (preview.invalidEmails.length > 0) {
+                parts.push(`${preview.invalidEmails.length} invalid email(s)`);
+            }
+            if (diff.losingCheckins.length > 0) {
+                parts.push(`${diff.losingCheckins.length} checked-in attendee(s) would lose their check-in`);
+            }
+            if (diff.takingCheckins.length > 0) {
+                parts.push(`${diff.takingCheckins.length} attendee(s) would take over someone else's check-in`);
+            }
+            return `${parts.join(', ')}.`;
+        },
+
+        /**
+         * Dialog contents for a preview
+         * @private
+         */
+        renderHtml(preview, label) {
+            const { diff } = preview;
+            const fieldLabels = {
+                ...Object.fromEntries(window.AttendeeFields.FIELDS.map(field => [field.key, field.label])),
+                externalId: 'ID'
+            };
+            const list = (title, items, format, warning = false) => (items.length === 0 ? '' : `
+                <details class="import-preview-list"${warning ? ' open' : ''}>
+                    <summary${warning ? ' style="color: #b91c1c; font-weight: 600;"' : ''}>${escapeHtml(title)} (${items.length})</summary>
+                    <ul>
+                        ${items.slice(0, LIST_LIMIT).map(item => `<li>${format(item)}</li>`).join('')}
+                        ${items.length > LIST_LIMIT ? `<li>…and ${items.length - LIST_LIMIT} more</li>` : ''}
+                    </ul>
+                </details>
+            `);
+            const name = attendee => escapeHtml(attendee.attendeeName);
+
+            return `
+                <h2 style="margin-top: 0;">Import Preview</h2>
+                <p>${escapeHtml(this.summary(preview))}</p>
+                <p style="margin-bottom: 0.25rem;"><strong>Columns</strong>
+                    ${preview.detected ? '' : '(no header row recognised; using the default column order)'}</p>
+                <p style="margin-top: 0;">${preview.mapping.map(entry => `${escapeHtml(entry.label)} ← ${escapeHtml(entry.header)}`).join(' · ')}</p>
+                ${list('Would lose their check-in', diff.losingCheckins, name, true)}
+                ${list("Would take over someone else's check-in", diff.takingCheckins,
+                    ({ attendee, from }) => `${name(attendee)} (row ${attendee.rowIndex}) gets the check-in of ${name(from)}`, true)}
+                ${list('New', diff.added, name)}
+                ${list('Changed', diff.changed, change => `${name(change.before)}: ${escapeHtml(change.fields.map(key => fieldLabels[key]).join(', '))}`)}
+                ${list('Removed', diff.removed, name)}
+                ${list('Skipped rows', preview.skipped, row => `Row ${row.rowIndex}: ${escapeHtml(row.reason)}`)}
+                ${list('Invalid emails (imported without an email)', preview.invalidEmails,
+                    row => `Row ${row.rowIndex}, ${escapeHtml(row.attendeeName)}: ${escapeHtml(row.email)} (${escapeHtml(row.error)})`)}
+                ${list('File problems', preview.warnings, warning => escapeHtml(warning))}
+                ${list('Rows to import', preview.attendees, attendee =>
+                    `Row ${attendee.rowIndex}: ${[attendee.attendeeName, attendee.tableNumber, attendee.groupName, attendee.email].filter(Boolean).map(escapeHtml).join(' · ')}`)}
+                <div style="display: flex; justify-content: flex-end; gap: 0.5rem; margin-top: 1rem;">
+                    <button type="button" value="cancel">Cancel</button>
+                    <button type="button" value="import" ${preview.attendees.length === 0 ? 'disabled' : ''}
+                            style="font-weight: 600;">${escapeHtml(label)} (${preview.attendees.length})</button>
+                </div>
+            `;
+        },
+
+        /**
+         * Shows a preview and waits for the admin to confirm or cancel
+         *
+         * @param {Object} preview - Result of build()
+         * @param {Object} [options]
+         * @param {string} [options.label='Replace Roster'] - Confirm button text
+         * @returns {Promise<boolean>} true to go ahead with the upload
+         */
+        confirm(preview, { label = 'Replace Roster' } = {}) {
+            if (typeof window.HTMLDialogElement !== 'function') {
+                return Promise.resolve(window.confirm(`${this.summary(preview)}\n\n${label}?`));
+            }
+
+            return new Promise(resolve => {
+                const dialog = document.createElement('dialog');
+                dialog.className = 'import-preview';
+                dialog.style.cssText = 'max-width: min(720px, 95vw); max-height: 85vh; overflow: auto; font-family: inherit; line-height: 1.4;';
+                dialog.innerHTML = this.renderHtml(preview, label);
+
+                dialog.addEventListener('click', event => {
+                    const button = event.target.closest('button[value]');
+                    if (button) {
+                        dialog.close(button.value);
+                    }
+                });
+                dialog.addEventListener('close', () => {
+                    dialog.remove();
+                    resolve(dialog.returnValue === 'import');
+                });
+
+                document.body.appendChild(dialog);
+                dialog.showModal();
+            });
+        }
+    };
+
+    // Expose to window object
+    window.ImportPreview = ImportPreview;
+
+})(window);
@@ -0,0 +1,110 @@
+/**
+ * Import Preview Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runImportPreviewTests() {
+    console.log('\nRunning Import Preview Tests...\n');
+
+    const ImportPreview = window.ImportPreview;
+
+    const csv = [
+        'Name,Table,Email,Ticket Code',
+        'Jane Smith,4,Jane@Example.com,TIX-1',
+        '',
+        ',5,nobody@example.com,',
+        'Bob Jones,7,bob@,TIX-2'
+    ].join('\n');
+
+    const t1 = '2026-05-01T18:00:00.000Z';
+
+    // Parsing
+    TestRunner.test('Numbers rows and builds ids as the server does', () => {
+        const preview = ImportPreview.fromCsv(csv, null);
+        TestRunner.assertEqual(JSON.stringify(preview.attendees.map(attendee => attendee.id)), JSON.stringify(['csv_3', 'csv_6']));
+        TestRunner.assertEqual(preview.attendees[0].email, 'jane@example.com');
+    });
+
+    TestRunner.test('Shows the detected column mapping', () => {
+        const preview = ImportPreview.fromCsv(csv, null);
+        TestRunner.assertEqual(preview.detected, true);
+        TestRunner.assertEqual(JSON.stringify(preview.mapping.map(entry => `${entry.label}=${entry.header}`)),
+            JSON.stringify(['Attendee Name=Name', 'Table Number=Table', 'Ticket Code / Barcode=Ticket Code', 'Email=Email']));
+    });
+
+    TestRunner.test('Uses the default column order without a header row', () => {
+        const preview = ImportPreview.fromRows([['4', 'Acme', 'Jane Smith']], null);
+        TestRunner.assertEqual(preview.detected, false);
+        TestRunner.assertEqual(preview.attendees[0].attendeeName, 'Jane Smith');
+        TestRunner.assertEqual(preview.attendees[0].id, 'csv_2');
+        TestRunner.assertEqual(preview.mapping[0].header, 'Column 3');
+    });
+
+    TestRunner.test('Lists skipped rows and invalid emails', () => {
+        const preview = ImportPreview.fromCsv(csv, null);
+        TestRunner.assertEqual(JSON.stringify(preview.skipped), JSON.stringify([{ rowIndex: 5, reason: 'No attendee name' }]));
+        TestRunner.assertEqual(preview.invalidEmails.length, 1);
+        TestRunner.assertEqual(preview.invalidEmails[0].rowIndex, 6);
+        TestRunner.assertEqual(preview.attendees[1].email, '');
+    });
+
+    // Comparing with the current roster
+    TestRunner.test('Finds new, changed, removed and unchanged attendees', () => {
+        const current = [
+            { id: 'csv_3', attendeeName: 'Jane Smith', tableNumber: '4', groupName: '', ticketCode: 'TIX-1', email: 'jane@example.com', status: 'pending' },
+            { id: 'csv_4', attendeeName: 'Bob Jones', tableNumber: '2', groupName: '', ticketCode: 'TIX-2', email: '', status: 'pending' },
+            { id: 'csv_5', attendeeName: 'Ann Lee', tableNumber: '1', groupName: '', status: 'pending' }
+        ];
+        const diff = ImportPreview.diff(current, ImportPreview.fromCsv(csv, null).attendees);
+        TestRunner.assertEqual(diff.unchanged, 1);
+        TestRunner.assertEqual(JSON.stringify(diff.changed.map(change => [change.before.id, change.fields])),
+            JSON.stringify([['csv_4', ['tableNumber']]]));
+        TestRunner.assertEqual(JSON.stringify(diff.removed.map(attendee => attendee.id)), JSON.stringify(['csv_5']));
+        TestRunner.assertEqual(diff.added.length, 0);
+    });
+
+    TestRunner.test('Matches by name when there is no ticket code', () => {
+        const current = [{ id: 'csv_9', attendeeName: 'jane  SMITH', tableNumber: '4', status: 'pending' }];
+        const diff = ImportPreview.diff(current, [{ id: 'csv_2', attendeeName: 'Jane Smith', tableNumber: '4' }]);
+        TestRunner.assertEqual(diff.added.length, 0);
+        TestRunner.assertEqual(diff.removed.length, 0);
+    });
+
+    TestRunner.test('Warns about check-ins that would be lost', () => {
+        const current = [
+            { id: 'csv_3', attendeeName: 'Jane Smith', tableNumber: '4', status: 'checked-in', checkedInAt: t1 },
+            { id: 'csv_4', attendeeName: 'Bob Jones', tableNumber: '7', status: 'checked-out', checkedInAt: t1 },
+            { id: 'csv_5', attendeeName: 'Ann Lee', tableNumber: '1', status: 'checked-in', checkedInAt: t1 }
+        ];
+        const incoming = ImportPreview.fromRows([['Name', 'Table'], ['Ann Lee', '1'], ['Jane Smith', '4']], null).attendees;
+        const diff = ImportPreview.diff(current, incoming);
+        TestRunner.assertEqual(JSON.stringify(diff.losingCheckins.map(attendee => attendee.id)), JSON.stringify(['csv_5', 'csv_3', 'csv_4']));
+    });
+
+    TestRunner.test('Warns when a new row takes over the row id of someone checked in', () => {
+        const current = [
+            { id: 'csv_3', attendeeName: 'Jane Smith', tableNumber: '4', status: 'checked-in', checkedInAt: t1 },
+            { id: 'csv_4', attendeeName: 'Ann Lee', tableNumber: '1', status: 'no-show' }
+        ];
+        // Bob lands on Jane's row and Jane on Ann's; Ann never arrived, so nothing is taken from her
+        const incoming = ImportPreview.fromRows([['Name', 'Table'], ['Bob Jones', '7'], ['Jane Smith', '4'], ['Sam Lee', '2']], null).attendees;
+        const diff = ImportPreview.diff(current, incoming);
+        TestRunner.assertEqual(JSON.stringify(diff.takingCheckins.map(({ attendee, from }) => [attendee.attendeeName, from.id])),
+            JSON.stringify([['Bob Jones', 'csv_3']]));
+        TestRunner.assertEqual(JSON.stringify(diff.losingCheckins.map(attendee => attendee.id)), JSON.stringify(['csv_3']));
+    });
+
+    TestRunner.test('Leaves walk-ins out of the comparison', () => {
+        const current = [{ id: 'walkin_abc', attendeeName: 'Sam Door', status: 'checked-in', walkIn: true }];
+        const diff = ImportPreview.diff(current, []);
+        TestRunner.assertEqual(diff.removed.length, 0);
+        TestRunner.assertEqual(diff.losingCheckins.length, 0);
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runImportPreviewTests = runImportPreviewTests;
+}
@@ -0,0 +1,110 @@
+/**
+ * Kiosk Module
+ * Matching and privacy rules for self-service check-in
+ *
+ * Guests look themselves up by last name or email. Only exact matches are
+ * returned, so the kiosk cannot be used to browse the guest list, and
+ * matches are shown masked ("J. Sm***, Table 4").
+ *
+ * @module Kiosk
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORAGE_KEY = 'eventCheckinKiosk';
+
+    /**
+     * More matches than this asks the guest to use their email instead
+     */
+    const MAX_MATCHES = 5;
+
+    const Kiosk = {
+        MAX_MATCHES,
+
+        /**
+         * Whether this device stays in kiosk mode across reloads
+         *
+         * @returns {boolean}
+         */
+        isEnabled() {
+            return localStorage.getItem(STORAGE_KEY) === 'true';
+        },
+
+        /**
+         * @param {boolean} enabled
+         */
+        setEnabled(enabled) {
+            if (enabled) {
+                localStorage.setItem(STORAGE_KEY, 'true');
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        },
+
+        /**
+         * Masks a name down to a first initial and the start of the last name
+         *
+         * @param {string} name - Full name
+         * @returns {string} Masked name
+         *
+         * @example
+         * Kiosk.maskName('John Smith') // returns 'J. Sm***'
+         */
+        maskName(name) {
+            const words = String(name ?? '').trim().split(/\s+/).filter(Boolean);
+            if (words.length === 0) {
+                return '***';
+            }
+
+            const last = words[words.length - 1];
+            const maskedLast = `${last.slice(0, 2)}***`;
+            return words.length === 1 ? maskedLast : `${words[0][0].toUpperCase()}. ${maskedLast}`;
+        },
+
+        /**
+         * Masked name and table, as shown on the kiosk
+         *
+         * @param {Object} attendee - Attendee record
+         * @returns {string} e.g. 'J. Sm***, Table 4'
+         */
+        describe(attendee) {
+            const name = this.maskName(attendee.attendeeName);
+            return attendee.tableNumber ? `${name}, Table ${attendee.tableNumber}` : name;
+        },
+
+        /**
+         * Finds attendees by exact last name, full name or email
+         *
+         * Any name word after the first counts as a last name, so "Jones"
+         * finds "Anna Smith-Jones". Matching ignores case and accents.
+         *
+         * @param {Array<Object>} attendees - Attendee records
+         * @param {string} query - Last name, full name or email typed by the guest
+         * @returns {Array<Object>} Matching attendees
+         */
+        findMatches(attendees, query) {
+            const raw = String(query ?? '').trim().toLowerCase();
+
+            if (raw.includes('@')) {
+                return attendees.filter(attendee => String(attendee.email ?? '').trim().toLowerCase() === raw);
+            }
+
+            const wanted = window.AttendeeSearch.normalize(raw);
+            if (wanted.length < 2) {
+                return [];
+            }
+
+            return attendees.filter(attendee => {
+                const name = window.AttendeeSearch.normalize(attendee.attendeeName);
+                const lastNames = name.split(' ').slice(1).join(' ');
+                return name === wanted || ` ${lastNames} `.includes(` ${wanted} `);
+            });
+        }
+    };
+
+    // Expose to window object
+    window.Kiosk = Kiosk;
+
+})(window);
@@ -0,0 +1,72 @@
+/**
+ * Kiosk Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runKioskTests() {
+    console.log('\nRunning Kiosk Tests...\n');
+
+    const Kiosk = window.Kiosk;
+    const attendees = [
+        { attendeeName: 'John Smith', email: 'john@example.com', tableNumber: '4' },
+        { attendeeName: 'Jane Smith', email: 'jane@example.com', tableNumber: '7' },
+        { attendeeName: 'Anna Smith-Jones', email: '', tableNumber: '' },
+        { attendeeName: 'José García', email: 'jose@example.com', tableNumber: '2' }
+    ];
+    const names = query => Kiosk.findMatches(attendees, query).map(a => a.attendeeName);
+
+    // Masking
+    TestRunner.test('Masks a name to initial and last-name prefix', () => {
+        TestRunner.assertEqual(Kiosk.maskName('john smith'), 'J. sm***');
+        TestRunner.assertEqual(Kiosk.maskName('John Paul Smith'), 'J. Sm***');
+    });
+
+    TestRunner.test('Masks single and missing names', () => {
+        TestRunner.assertEqual(Kiosk.maskName('Madonna'), 'Ma***');
+        TestRunner.assertEqual(Kiosk.maskName(''), '***');
+    });
+
+    TestRunner.test('Describes a match with its table', () => {
+        TestRunner.assertEqual(Kiosk.describe(attendees[0]), 'J. Sm***, Table 4');
+        TestRunner.assertEqual(Kiosk.describe(attendees[2]), 'A. Sm***');
+    });
+
+    // Matching
+    TestRunner.test('Last name finds everyone with that last name', () => {
+        TestRunner.assertEqual(JSON.stringify(names('SMITH')), JSON.stringify(['John Smith', 'Jane Smith', 'Anna Smith-Jones']));
+    });
+
+    TestRunner.test('Partial names and first names find nobody', () => {
+        TestRunner.assertEqual(names('smi').length, 0);
+        TestRunner.assertEqual(names('john').length, 0);
+    });
+
+    TestRunner.test('Full name and accent-free last name match', () => {
+        TestRunner.assertEqual(JSON.stringify(names('jane smith')), JSON.stringify(['Jane Smith']));
+        TestRunner.assertEqual(JSON.stringify(names('garcia')), JSON.stringify(['José García']));
+    });
+
+    TestRunner.test('Email matches exactly, ignoring case', () => {
+        TestRunner.assertEqual(JSON.stringify(names(' John@Example.com ')), JSON.stringify(['John Smith']));
+        TestRunner.assertEqual(names('john@example').length, 0);
+    });
+
+    // Device setting
+    TestRunner.test('Kiosk setting is remembered per device', () => {
+        const saved = Kiosk.isEnabled();
+        Kiosk.setEnabled(true);
+        const enabled = Kiosk.isEnabled();
+        Kiosk.setEnabled(false);
+        const disabled = !Kiosk.isEnabled();
+        Kiosk.setEnabled(saved);
+
+        TestRunner.assert(enabled && disabled, 'setting should toggle');
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runKioskTests = runKioskTests;
+}
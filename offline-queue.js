@@ -0,0 +1,425 @@
+/**
+ * Offline Check-in Queue Module
+ * Persists check-in updates in IndexedDB when the active data source cannot be
+ * reached and replays them, in order, once connectivity returns
+ *
+ * @module OfflineQueue
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const DB_NAME = 'event_checkin_offline';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'pending_updates';
+
+    /**
+     * How often to retry a non-empty queue while the browser reports being online
+     */
+    const RETRY_INTERVAL_MS = 15000;
+
+    /**
+     * Longest wait between replays while the data source cannot be reached;
+     * the wait doubles from RETRY_INTERVAL_MS with each failed replay
+     */
+    const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+    /**
+     * Rejected replays of one update before it is parked, so a check-in the
+     * data source keeps rejecting does not hold up the ones queued after it.
+     * Replays that do not reach the data source are not counted.
+     */
+    const MAX_ATTEMPTS = 5;
+
+    /**
+     * Wraps an IndexedDB request in a promise
+     * @private
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Opens (and upgrades if needed) the offline queue database
+     * @private
+     */
+    function openDatabase() {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        return promisifyRequest(request);
+    }
+
+    const OfflineQueue = {
+        MAX_ATTEMPTS,
+
+        db: null,
+        entries: [],
+        listeners: [],
+        isReplaying: false,
+        retryTimer: null,
+        nextMemoryId: 1,
+        unreachableCount: 0,
+        retryAfter: 0,
+
+        /**
+         * Opens the queue database and loads any entries left from a previous session.
+         * Falls back to an in-memory queue when IndexedDB is unavailable.
+         *
+         * @returns {Promise<boolean>} True if the durable (IndexedDB) queue is in use
+         */
+        async init() {
+            if (this.db) {
+                return true;
+            }
+
+            window.addEventListener('online', () => {
+                this.retryAfter = 0;
+                this.replay();
+            });
+            this.retryTimer = setInterval(() => {
+                if (this.count() > 0) {
+                    this.replay();
+                }
+            }, RETRY_INTERVAL_MS);
+
+            if (!window.indexedDB) {
+                console.warn('⚠️ IndexedDB not available. Offline check-ins will only be kept for this session.');
+                return false;
+            }
+
+            try {
+                this.db = await openDatabase();
+                const store = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+                const stored = await promisifyRequest(store.getAll());
+                this.entries = stored.sort((a, b) => a.id - b.id);
+                this.notify();
+
+                if (this.count() > 0) {
+                    window.debugLog(`OfflineQueue: ${this.count()} unsynced update(s) restored`);
+                }
+                return true;
+            } catch (error) {
+                console.error('❌ Failed to open offline queue database:', error);
+                this.db = null;
+                return false;
+            }
+        },
+
+        /**
+         * Appends an attendee update to the end of the queue
+         *
+         * @param {string|number} attendeeId - ID of the attendee being updated
+         * @param {Object} updates - Updates as passed to BaseDataSource.updateAttendee
+         * @returns {Promise<Object>} The stored queue entry
+         */
+        async enqueue(attendeeId, updates) {
+            const entry = {
+                attendeeId,
+                updates,
+                sourceType: window.DataSourceManager?.getCurrentSource()?.getType() || null,
+                queuedAt: new Date().toISOString(),
+                attempts: 0,
+                parked: false
+            };
+
+            if (this.db) {
+                const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+                entry.id = await promisifyRequest(store.add(entry));
+            } else {
+                entry.id = this.nextMemoryId++;
+            }
+
+            this.entries.push(entry);
+            this.notify();
+            return entry;
+        },
+
+        /**
+         * Removes a replayed entry from the queue
+         * @private
+         */
+        async remove(entryId) {
+            if (this.db) {
+                const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+                await promisifyRequest(store.delete(entryId));
+            }
+            this.entries = this.entries.filter(entry => entry.id !== entryId);
+        },
+
+        /**
+         * Persists a changed entry
+         * @private
+         */
+        async save(entry) {
+            if (this.db) {
+                const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+                await promisifyRequest(store.put(entry));
+            }
+        },
+
+        /**
+         * Whether a failed replay was the data source refusing the update (an
+         * HTTP 4xx, or an error it reported), rather than the update not
+         * getting there: a failed fetch, a server error (5xx) or a response
+         * that is not the data source's (such as a captive portal page)
+         *
+         * @param {Error|Object} error - Error thrown by the data source
+         * @returns {boolean}
+         */
+        isRejection(error) {
+            if (error instanceof TypeError) {
+                return false;
+            }
+            const status = Number(error?.status) || 0;
+            if (status > 0) {
+                return status >= 400 && status < 500;
+            }
+            // Supabase reports errors of its own with a code; network failures have none
+            return Boolean(error?.code);
+        },
+
+        /**
+         * Notes that the data source could not be reached and waits longer
+         * before the next replay, up to MAX_RETRY_DELAY_MS
+         * @private
+         * @returns {Promise<number>} Milliseconds until the next replay
+         */
+        async recordUnreachable(entry, error) {
+            this.unreachableCount += 1;
+            const delay = Math.min(RETRY_INTERVAL_MS * 2 ** (this.unreachableCount - 1), MAX_RETRY_DELAY_MS);
+            this.retryAfter = Date.now() + delay;
+            entry.lastError = error?.message || String(error ?? '');
+            await this.save(entry);
+            return delay;
+        },
+
+        /**
+         * Counts a rejected replay of an entry and parks it after MAX_ATTEMPTS
+         * @private
+         * @returns {Promise<boolean>} True if the entry is now parked
+         */
+        async recordFailedAttempt(entry, error) {
+            entry.attempts += 1;
+            entry.lastError = error?.message || String(error ?? '');
+            if (entry.attempts >= MAX_ATTEMPTS) {
+                entry.parked = true;
+                entry.parkedReason = `Rejected ${entry.attempts} times: ${entry.lastError}`;
+            }
+            await this.save(entry);
+            return entry.parked;
+        },
+
+        /**
+         * Takes an entry out of the replay order, keeping it for review
+         * @private
+         */
+        async park(entry, reason) {
+            entry.parked = true;
+            entry.parkedReason = reason;
+            await this.save(entry);
+        },
+
+        /**
+         * Why an entry cannot be replayed against a data source, or '' if it can
+         *
+         * @param {Object} entry - Queue entry
+         * @param {string|null} sourceType - Type of the data source replaying it
+         * @returns {string}
+         */
+        replayBlocker(entry, sourceType) {
+            if (entry.parked) {
+                return entry.parkedReason || 'Parked';
+            }
+            if (entry.sourceType && sourceType && entry.sourceType !== sourceType) {
+                return `Queued for the ${entry.sourceType} data source`;
+            }
+            return '';
+        },
+
+        /**
+         * Replays queued updates in order against a data source. A failure stops
+         * the replay so later updates never overtake earlier ones. An update the
+         * data source rejects MAX_ATTEMPTS times is parked; while the data source
+         * cannot be reached, replays back off instead and nothing is parked.
+         * Updates queued against another data source are parked straight away.
+         *
+         * @param {BaseDataSource} [dataSource] - Defaults to the active data source
+         * @returns {Promise<{synced: number, remaining: number, parked: number}>}
+         */
+        async replay(dataSource) {
+            const source = dataSource || window.DataSourceManager?.getCurrentSource();
+            if (this.isReplaying || this.count() === 0 || !source) {
+                return { synced: 0, remaining: this.count(), parked: this.parkedEntries().length };
+            }
+
+            if (navigator.onLine === false || Date.now() < this.retryAfter) {
+                return { synced: 0, remaining: this.count(), parked: this.parkedEntries().length };
+            }
+
+            this.isReplaying = true;
+            const sourceType = source.getType ? source.getType() : null;
+            let synced = 0;
+
+            try {
+                let entry;
+                while ((entry = this.entries.find(candidate => !candidate.parked))) {
+                    const blocker = this.replayBlocker(entry, sourceType);
+                    if (blocker) {
+                        console.warn(`OfflineQueue: parked update for ${entry.attendeeId}: ${blocker}`);
+                        await this.park(entry, blocker);
+                        continue;
+                    }
+
+                    try {
+                        await source.updateAttendee(entry.attendeeId, entry.updates);
+                    } catch (error) {
+                        if (!this.isRejection(error)) {
+                            const delay = await this.recordUnreachable(entry, error);
+                            console.warn(`OfflineQueue: data source unreachable, retrying in ${Math.round(delay / 1000)}s:`, error);
+                            break;
+                        }
+                        if (await this.recordFailedAttempt(entry, error)) {
+                            console.warn(`OfflineQueue: parked update for ${entry.attendeeId} after ${entry.attempts} attempts:`, error);
+                            continue;
+                        }
+                        console.warn(`OfflineQueue: replay stopped at update for ${entry.attendeeId}:`, error);
+                        break;
+                    }
+                    await this.remove(entry.id);
+                    this.unreachableCount = 0;
+                    this.retryAfter = 0;
+                    synced++;
+                }
+            } finally {
+                this.isReplaying = false;
+                this.notify();
+            }
+
+            if (synced > 0) {
+                console.log(`✅ Synced ${synced} offline update(s)`);
+            }
+
+            return { synced, remaining: this.count(), parked: this.parkedEntries().length };
+        },
+
+        /**
+         * Number of updates still waiting to be synced (parked ones excluded)
+         *
+         * @returns {number}
+         */
+        count() {
+            return this.entries.filter(entry => !entry.parked).length;
+        },
+
+        /**
+         * Updates that will not be replayed: rejected too often, or queued
+         * against another data source. Kept until discarded.
+         *
+         * @returns {Array<Object>}
+         */
+        parkedEntries() {
+            return this.entries.filter(entry => entry.parked);
+        },
+
+        /**
+         * Deletes every parked update
+         *
+         * @returns {Promise<number>} Number of updates discarded
+         */
+        async discardParked() {
+            const parked = this.parkedEntries();
+            for (const entry of parked) {
+                await this.remove(entry.id);
+            }
+            this.notify();
+            return parked.length;
+        },
+
+        /**
+         * Queued updates for the session shown on this device (all of them
+         * when event-sessions.js is not loaded); parked updates are left out
+         *
+         * @returns {Array<Object>}
+         */
+        currentEntries() {
+            const waiting = this.entries.filter(entry => !entry.parked);
+            if (!window.EventSessions) {
+                return waiting;
+            }
+            const session = window.EventSessions.current();
+            return waiting.filter(entry => (entry.updates.session || '') === session);
+        },
+
+        /**
+         * Checks whether an attendee has an unsynced update in the current session
+         *
+         * @param {string|number} attendeeId
+         * @returns {boolean}
+         */
+        hasPending(attendeeId) {
+            return this.currentEntries().some(entry => String(entry.attendeeId) === String(attendeeId));
+        },
+
+        /**
+         * Overlays queued updates onto freshly loaded attendees so a poll from the
+         * server does not revert check-ins that have not been synced yet
+         *
+         * @param {Array<Object>} attendees - Normalized attendee records
+         * @returns {Array<Object>} Attendees with pending updates applied
+         */
+        applyPending(attendees) {
+            const entries = this.currentEntries();
+            if (entries.length === 0) {
+                return attendees;
+            }
+
+            const pendingById = new Map();
+            entries.forEach(entry => {
+                const key = String(entry.attendeeId);
+                const { session, ...updates } = entry.updates;
+                pendingById.set(key, { ...(pendingById.get(key) || {}), ...updates });
+            });
+
+            return attendees.map(attendee => {
+                const updates = pendingById.get(String(attendee.id));
+                return updates ? { ...attendee, ...updates } : attendee;
+            });
+        },
+
+        /**
+         * Registers a callback invoked whenever the queue changes
+         *
+         * @param {Function} listener - Receives the current queue entries
+         */
+        onChange(listener) {
+            this.listeners.push(listener);
+        },
+
+        /**
+         * Notifies change listeners
+         * @private
+         */
+        notify() {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(this.entries.slice());
+                } catch (error) {
+                    console.error('OfflineQueue listener error:', error);
+                }
+            });
+        }
+    };
+
+    // Expose to window object
+    window.OfflineQueue = OfflineQueue;
+
+})(window);
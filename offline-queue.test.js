@@ -0,0 +1,168 @@
+/**
+ * Offline Queue Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ *
+ * Runs against the in-memory queue (init() is not called, so nothing is
+ * written to IndexedDB)
+ */
+
+async function runOfflineQueueTests() {
+    console.log('\nRunning Offline Queue Tests...\n');
+
+    const OfflineQueue = window.OfflineQueue;
+
+    const t1 = '2026-05-01T18:00:00.000Z';
+
+    const reset = () => {
+        OfflineQueue.db = null;
+        OfflineQueue.entries = [];
+        OfflineQueue.listeners = [];
+        OfflineQueue.nextMemoryId = 1;
+        OfflineQueue.unreachableCount = 0;
+        OfflineQueue.retryAfter = 0;
+    };
+
+    const checkIn = { status: 'checked-in', checkedInAt: t1 };
+
+    // Queueing
+    await TestRunner.testAsync('Queues updates in order, waiting to be replayed', async () => {
+        reset();
+        await OfflineQueue.enqueue('csv_2', checkIn);
+        await OfflineQueue.enqueue('csv_3', checkIn);
+        TestRunner.assertEqual(OfflineQueue.count(), 2);
+        TestRunner.assertEqual(JSON.stringify(OfflineQueue.entries.map(entry => [entry.id, entry.attempts, entry.parked])),
+            JSON.stringify([[1, 0, false], [2, 0, false]]));
+    });
+
+    // Parking
+    await TestRunner.testAsync('Keeps retrying an update until it is rejected MAX_ATTEMPTS times', async () => {
+        reset();
+        await OfflineQueue.enqueue('csv_2', checkIn);
+        const [entry] = OfflineQueue.entries;
+        for (let i = 1; i < OfflineQueue.MAX_ATTEMPTS; i++) {
+            await OfflineQueue.recordFailedAttempt(entry, new Error('Server error: 500'));
+        }
+        TestRunner.assertEqual(entry.parked, false);
+        TestRunner.assertEqual(OfflineQueue.count(), 1);
+
+        await OfflineQueue.recordFailedAttempt(entry, new Error('Server error: 500'));
+        TestRunner.assertEqual(entry.parked, true);
+        TestRunner.assertEqual(entry.parkedReason, `Rejected ${OfflineQueue.MAX_ATTEMPTS} times: Server error: 500`);
+        TestRunner.assertEqual(OfflineQueue.count(), 0);
+        TestRunner.assertEqual(OfflineQueue.parkedEntries().length, 1);
+    });
+
+    await TestRunner.testAsync('Blocks updates queued against another data source', async () => {
+        reset();
+        await OfflineQueue.enqueue('csv_2', checkIn);
+        const [entry] = OfflineQueue.entries;
+        entry.sourceType = 'csv';
+        TestRunner.assertEqual(OfflineQueue.replayBlocker(entry, 'supabase'), 'Queued for the csv data source');
+        TestRunner.assertEqual(OfflineQueue.replayBlocker(entry, 'csv'), '');
+        entry.sourceType = null;
+        TestRunner.assertEqual(OfflineQueue.replayBlocker(entry, 'supabase'), '');
+    });
+
+    await TestRunner.testAsync('Blocks parked updates with their reason', async () => {
+        reset();
+        await OfflineQueue.enqueue('csv_2', checkIn);
+        const [entry] = OfflineQueue.entries;
+        await OfflineQueue.park(entry, 'Queued for the csv data source');
+        TestRunner.assertEqual(OfflineQueue.replayBlocker(entry, 'csv'), 'Queued for the csv data source');
+    });
+
+    // Overlaying pending updates
+    await TestRunner.testAsync('Overlays waiting updates but not parked ones', async () => {
+        reset();
+        await OfflineQueue.enqueue('csv_2', checkIn);
+        await OfflineQueue.enqueue('csv_3', checkIn);
+        await OfflineQueue.park(OfflineQueue.entries[1], 'Rejected');
+        const attendees = OfflineQueue.applyPending([
+            { id: 'csv_2', status: 'pending' },
+            { id: 'csv_3', status: 'pending' }
+        ]);
+        TestRunner.assertEqual(JSON.stringify(attendees.map(attendee => attendee.status)), JSON.stringify(['checked-in', 'pending']));
+        TestRunner.assertEqual(OfflineQueue.hasPending('csv_2'), true);
+        TestRunner.assertEqual(OfflineQueue.hasPending('csv_3'), false);
+    });
+
+    await TestRunner.testAsync('Only overlays updates of the current session', async () => {
+        reset();
+        await OfflineQueue.enqueue('csv_2', { ...checkIn, session: 'not-a-session' });
+        TestRunner.assertEqual(OfflineQueue.hasPending('csv_2'), false);
+        TestRunner.assertEqual(OfflineQueue.count(), 1);
+    });
+
+    // Discarding
+    await TestRunner.testAsync('Discards parked updates and keeps waiting ones', async () => {
+        reset();
+        await OfflineQueue.enqueue('csv_2', checkIn);
+        await OfflineQueue.enqueue('csv_3', checkIn);
+        await OfflineQueue.park(OfflineQueue.entries[0], 'Rejected');
+        await OfflineQueue.discardParked();
+        TestRunner.assertEqual(JSON.stringify(OfflineQueue.entries.map(entry => entry.attendeeId)), JSON.stringify(['csv_3']));
+    });
+
+    await TestRunner.testAsync('Tells listeners about parked updates', async () => {
+        reset();
+        let seen = null;
+        OfflineQueue.onChange(entries => {
+            seen = entries;
+        });
+        await OfflineQueue.enqueue('csv_2', checkIn);
+        await OfflineQueue.park(OfflineQueue.entries[0], 'Rejected');
+        OfflineQueue.notify();
+        TestRunner.assertEqual(seen.length, 1);
+        TestRunner.assertEqual(seen[0].parked, true);
+    });
+
+    // Rejections and network failures
+    const failingSource = error => ({
+        getType: () => 'csv',
+        updateAttendee: async () => {
+            throw error;
+        }
+    });
+
+    await TestRunner.testAsync('Tells rejections from updates that did not reach the data source', async () => {
+        TestRunner.assertEqual(OfflineQueue.isRejection(Object.assign(new Error('Attendee not found'), { status: 400 })), true);
+        TestRunner.assertEqual(OfflineQueue.isRejection({ code: '23505', message: 'duplicate key' }), true);
+        TestRunner.assertEqual(OfflineQueue.isRejection(new TypeError('Failed to fetch')), false);
+        TestRunner.assertEqual(OfflineQueue.isRejection(Object.assign(new Error('Server error: 503'), { status: 503 })), false);
+        TestRunner.assertEqual(OfflineQueue.isRejection(new SyntaxError('Unexpected token <')), false);
+    });
+
+    await TestRunner.testAsync('Never parks an update the data source cannot be reached for, and backs off', async () => {
+        reset();
+        await OfflineQueue.enqueue('csv_2', checkIn);
+        const source = failingSource(new TypeError('Failed to fetch'));
+        for (let i = 0; i < OfflineQueue.MAX_ATTEMPTS + 1; i++) {
+            OfflineQueue.retryAfter = 0;
+            await OfflineQueue.replay(source);
+        }
+        const [entry] = OfflineQueue.entries;
+        TestRunner.assertEqual(entry.parked, false);
+        TestRunner.assertEqual(entry.attempts, 0);
+        TestRunner.assertEqual(OfflineQueue.hasPending('csv_2'), true);
+        TestRunner.assert(OfflineQueue.retryAfter > Date.now(), 'Should wait before the next replay');
+
+        const result = await OfflineQueue.replay({ getType: () => 'csv', updateAttendee: async () => ({}) });
+        TestRunner.assertEqual(result.synced, 0, 'Should not replay while backing off');
+    });
+
+    await TestRunner.testAsync('Counts rejected replays towards parking', async () => {
+        reset();
+        await OfflineQueue.enqueue('csv_2', checkIn);
+        await OfflineQueue.replay(failingSource(Object.assign(new Error('Attendee not found'), { status: 400 })));
+        TestRunner.assertEqual(OfflineQueue.entries[0].attempts, 1);
+        TestRunner.assertEqual(OfflineQueue.retryAfter, 0);
+    });
+
+    reset();
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runOfflineQueueTests = runOfflineQueueTests;
+}
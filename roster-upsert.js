@@ -0,0 +1,94 @@
+/**
+ * Roster Upsert Module
+ * Plans a non-destructive import of an updated attendee list into Supabase
+ *
+ * Attendees in the file are matched to existing rows by their external ID
+ * (the file's ID column), then name and email, then email, then name.
+ * Matched rows get their changed details updated, but only the details the
+ * file has a column for; their check-in state is never touched. Unmatched attendees are inserted. Existing attendees
+ * missing from the file can be marked as removed (soft-deleted, so their
+ * check-ins are kept and a later import restores them); walk-ins never are.
+ *
+ * @module RosterUpsert
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RosterUpsert = {
+        /**
+         * Works out the changes an import makes
+         *
+         * @param {Array<Object>} existing - Current attendees, removed ones (with removedAt) included
+         *   (id, externalId, removedAt, walkIn and the AttendeeFields fields)
+         * @param {Array<Object>} incoming - Attendees from the file (externalId and AttendeeFields fields)
+         * @param {Object} [options]
+         * @param {boolean} [options.removeMissing=false] - Mark existing attendees missing from the file as removed
+         * @param {Array<string>} [options.fields] - AttendeeFields keys the file has a column for
+         *   (ImportPreview mappedFields); other details are kept. Defaults to all of them.
+         * @returns {{inserts: Array<Object>, updates: Array<{before: Object, after: Object, fields: Object, restore: boolean}>,
+         *   removals: Array<Object>, unchanged: number}}
+         *   fields holds the changed details (and externalId when newly known);
+         *   restore is true for removed attendees who are back in the file
+         */
+        plan(existing, incoming, { removeMissing = false, fields: mappedFields = null } = {}) {
+            const { KEYS } = window.AttendeeMatch;
+            // Attendees still present are preferred over removed ones
+            const matches = window.AttendeeMatch.match(incoming, existing,
+                [KEYS.externalId, KEYS.emailAndName, KEYS.email, KEYS.name],
+                { prefer: candidate => !candidate.removedAt });
+            const matched = new Set(matches.values());
+
+            const result = { inserts: [], updates: [], removals: [], unchanged: 0 };
+
+            incoming.forEach(attendee => {
+                const before = matches.get(attendee);
+                if (!before) {
+                    result.inserts.push(attendee);
+                    return;
+                }
+
+                const picked = window.AttendeeFields.pick(attendee);
+                const provided = mappedFields ? Object.fromEntries(mappedFields.map(key => [key, picked[key]])) : picked;
+                const fields = window.AttendeeFields.changes(before, provided);
+                if (attendee.externalId && KEYS.externalId(attendee) !== KEYS.externalId(before)) {
+                    fields.externalId = attendee.externalId;
+                }
+
+                if (Object.keys(fields).length > 0 || before.removedAt) {
+                    result.updates.push({ before, after: attendee, fields, restore: Boolean(before.removedAt) });
+                } else {
+                    result.unchanged++;
+                }
+            });
+
+            if (removeMissing) {
+                result.removals = existing.filter(attendee => !matched.has(attendee) && !attendee.removedAt && !attendee.walkIn);
+            }
+
+            return result;
+        },
+
+        /**
+         * Activity log text for an import
+         *
+         * @param {Object} plan - Result of plan()
+         * @returns {string} e.g. 'Imported: 3 added, 2 updated, 1 removed, 40 unchanged'
+         */
+        describe(plan) {
+            const restored = plan.updates.filter(update => update.restore).length;
+            return [
+                `Imported: ${plan.inserts.length} added`,
+                `${plan.updates.length - restored} updated`,
+                ...(restored > 0 ? [`${restored} restored`] : []),
+                `${plan.removals.length} removed`,
+                `${plan.unchanged} unchanged`
+            ].join(', ');
+        }
+    };
+
+    // Expose to window object
+    window.RosterUpsert = RosterUpsert;
+
+})(window);
@@ -0,0 +1,106 @@
+/**
+ * Roster Upsert Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runRosterUpsertTests() {
+    console.log('\nRunning Roster Upsert Tests...\n');
+
+    const RosterUpsert = window.RosterUpsert;
+
+    const t1 = '2026-05-01T18:00:00.000Z';
+
+    const existing = () => [
+        { id: 1, externalId: 'A-1', attendeeName: 'Jane Smith', tableNumber: '4', email: 'jane@example.com', status: 'checked-in', checkedInAt: t1 },
+        { id: 2, externalId: '', attendeeName: 'Bob Jones', tableNumber: '7', email: 'bob@example.com', status: 'pending' },
+        { id: 3, externalId: '', attendeeName: 'Ann Lee', tableNumber: '1', email: '', status: 'pending' },
+        { id: 4, externalId: '', attendeeName: 'Sam Door', tableNumber: 'General', email: '', status: 'checked-in', walkIn: true }
+    ];
+
+    // Matching
+    TestRunner.test('Matches by external ID even when the name and email changed', () => {
+        const plan = RosterUpsert.plan(existing(), [{ externalId: 'a-1', attendeeName: 'Jane Smith-Doe', tableNumber: '4', email: 'jsd@example.com' }]);
+        TestRunner.assertEqual(plan.inserts.length, 0);
+        TestRunner.assertEqual(plan.updates[0].before.id, 1);
+        TestRunner.assertEqual(JSON.stringify(plan.updates[0].fields), JSON.stringify({ attendeeName: 'Jane Smith-Doe', email: 'jsd@example.com' }));
+    });
+
+    TestRunner.test('Matches by email, preferring the same name when an email is shared', () => {
+        const rows = [
+            { id: 10, attendeeName: 'Pat Kim', email: 'kims@example.com' },
+            { id: 11, attendeeName: 'Lee Kim', email: 'kims@example.com' }
+        ];
+        const plan = RosterUpsert.plan(rows, [
+            { attendeeName: 'Lee Kim', email: 'KIMS@example.com', tableNumber: '2' },
+            { attendeeName: 'Pat Kim', email: 'kims@example.com', tableNumber: '2' }
+        ]);
+        TestRunner.assertEqual(JSON.stringify(plan.updates.map(update => [update.after.attendeeName, update.before.id])),
+            JSON.stringify([['Lee Kim', 11], ['Pat Kim', 10]]));
+    });
+
+    TestRunner.test('Falls back to the name and inserts unmatched attendees', () => {
+        const plan = RosterUpsert.plan(existing(), [
+            { attendeeName: 'ann  lee', tableNumber: '1' },
+            { attendeeName: 'New Person', tableNumber: '9' }
+        ]);
+        TestRunner.assertEqual(plan.unchanged, 0);
+        TestRunner.assertEqual(plan.updates[0].before.id, 3);
+        TestRunner.assertEqual(JSON.stringify(plan.inserts.map(attendee => attendee.attendeeName)), JSON.stringify(['New Person']));
+    });
+
+    // Changes
+    TestRunner.test('Leaves unchanged attendees and check-in state alone', () => {
+        const plan = RosterUpsert.plan(existing(), [{ externalId: 'A-1', attendeeName: 'Jane Smith', tableNumber: '4', email: 'jane@example.com' }]);
+        TestRunner.assertEqual(plan.unchanged, 1);
+        TestRunner.assertEqual(plan.updates.length, 0);
+    });
+
+    TestRunner.test('Keeps the details of columns the file does not have', () => {
+        const rows = [{ id: 1, attendeeName: 'Jane Smith', tableNumber: '4', email: 'jane@example.com', ticketCode: 'TIX-1', additionalInfo: 'Vegan' }];
+        const incoming = window.ImportPreview.fromRows([['Name', 'Table'], ['Jane Smith', '5']], null);
+        TestRunner.assertEqual(JSON.stringify(incoming.mappedFields), JSON.stringify(['attendeeName', 'tableNumber']));
+
+        const plan = RosterUpsert.plan(rows, incoming.attendees, { fields: incoming.mappedFields });
+        TestRunner.assertEqual(JSON.stringify(plan.updates[0].fields), JSON.stringify({ tableNumber: '5' }));
+    });
+
+    TestRunner.test('Records a newly known external ID', () => {
+        const plan = RosterUpsert.plan(existing(), [{ externalId: 'B-2', attendeeName: 'Bob Jones', tableNumber: '7', email: 'bob@example.com' }]);
+        TestRunner.assertEqual(JSON.stringify(plan.updates[0].fields), JSON.stringify({ externalId: 'B-2' }));
+    });
+
+    // Missing attendees
+    TestRunner.test('Removes missing attendees only when asked, never walk-ins', () => {
+        const incoming = [{ externalId: 'A-1', attendeeName: 'Jane Smith', tableNumber: '4', email: 'jane@example.com' }];
+        TestRunner.assertEqual(RosterUpsert.plan(existing(), incoming).removals.length, 0);
+        const plan = RosterUpsert.plan(existing(), incoming, { removeMissing: true });
+        TestRunner.assertEqual(JSON.stringify(plan.removals.map(attendee => attendee.id)), JSON.stringify([2, 3]));
+    });
+
+    TestRunner.test('Restores removed attendees who are back in the file', () => {
+        const rows = [
+            { id: 5, attendeeName: 'Ann Lee', tableNumber: '1', removedAt: t1 },
+            { id: 6, attendeeName: 'Ann Lee', tableNumber: '1' }
+        ];
+        const plan = RosterUpsert.plan(rows, [{ attendeeName: 'Ann Lee', tableNumber: '1' }, { attendeeName: 'Ann Lee', tableNumber: '1' }]);
+        TestRunner.assertEqual(plan.unchanged, 1);
+        TestRunner.assertEqual(plan.updates.length, 1);
+        TestRunner.assertEqual(plan.updates[0].before.id, 5);
+        TestRunner.assertEqual(plan.updates[0].restore, true);
+    });
+
+    TestRunner.test('Describes the import for the activity log', () => {
+        const plan = RosterUpsert.plan(existing(), [
+            { externalId: 'A-1', attendeeName: 'Jane Smith', tableNumber: '5', email: 'jane@example.com' },
+            { attendeeName: 'New Person' }
+        ], { removeMissing: true });
+        TestRunner.assertEqual(RosterUpsert.describe(plan), 'Imported: 1 added, 1 updated, 2 removed, 0 unchanged');
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runRosterUpsertTests = runRosterUpsertTests;
+}
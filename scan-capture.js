@@ -0,0 +1,190 @@
+/**
+ * Scan Capture Module
+ * Detects ticket codes typed by USB/Bluetooth keyboard-wedge barcode and
+ * QR scanners anywhere on the page
+ *
+ * Scanners "type" the code far faster than a person and finish with Enter.
+ * Keystrokes arriving less than maxInterval apart form a burst; a burst of
+ * at least minLength characters ended by Enter is reported as a scan. The
+ * first character of a burst cannot be told apart from normal typing, so if
+ * it landed in a text field the field's previous value is restored. Later
+ * characters are held back while the burst lasts; if it turns out not to be
+ * a scan (fast typing) they are typed into the field after all.
+ *
+ * @module ScanCapture
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Defaults for start(); scanners typically send a key every 5-30ms
+     */
+    const DEFAULTS = {
+        minLength: 4,
+        maxInterval: 50,
+        ignoreSelector: null
+    };
+
+    // Keys scanners send alongside characters that must not break a burst
+    const PASSTHROUGH_KEYS = ['Shift', 'CapsLock'];
+
+    const ScanCapture = {
+        active: false,
+        options: { ...DEFAULTS },
+        onScan: null,
+        buffer: '',
+        lastKeyTime: 0,
+        burstTarget: null,
+        valueBefore: null,
+        flushTimer: null,
+        boundKeydown: null,
+
+        /**
+         * Starts listening for scans
+         *
+         * @param {Function} onScan - Called with the scanned code (string)
+         * @param {Object} [options]
+         * @param {number} [options.minLength=4] - Shortest code accepted
+         * @param {number} [options.maxInterval=50] - Longest gap (ms) between keys of one scan
+         * @param {string} [options.ignoreSelector] - Keystrokes inside matching elements are left alone
+         */
+        start(onScan, options = {}) {
+            this.onScan = onScan;
+            this.options = { ...DEFAULTS, ...options };
+
+            if (!this.active) {
+                this.boundKeydown = this.boundKeydown || this.handleKeydown.bind(this);
+                // Capture phase so the scan is seen before inputs or page shortcuts react to Enter
+                document.addEventListener('keydown', this.boundKeydown, true);
+                this.active = true;
+            }
+            this.reset();
+        },
+
+        /**
+         * Stops listening for scans
+         */
+        stop() {
+            if (this.active) {
+                document.removeEventListener('keydown', this.boundKeydown, true);
+                this.active = false;
+            }
+            this.rejectBurst();
+        },
+
+        /**
+         * @private
+         */
+        reset() {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            this.buffer = '';
+            this.lastKeyTime = 0;
+            this.burstTarget = null;
+            this.valueBefore = null;
+        },
+
+        /**
+         * @private
+         */
+        isTextField(element) {
+            return !!element && (element.tagName === 'TEXTAREA' ||
+                (element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(element.type)));
+        },
+
+        /**
+         * @private
+         */
+        handleKeydown(event) {
+            if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) {
+                this.rejectBurst();
+                return;
+            }
+
+            const ignore = this.options.ignoreSelector;
+            if (ignore && event.target.closest && event.target.closest(ignore)) {
+                return;
+            }
+
+            if (PASSTHROUGH_KEYS.includes(event.key)) {
+                return;
+            }
+
+            const now = event.timeStamp || performance.now();
+            const withinBurst = this.buffer !== '' && now - this.lastKeyTime <= this.options.maxInterval;
+
+            if (event.key === 'Enter') {
+                if (withinBurst && this.buffer.length >= this.options.minLength) {
+                    event.preventDefault();
+                    event.stopPropagation();
+
+                    const code = this.buffer;
+                    this.restoreLeakedInput();
+                    this.reset();
+                    this.onScan?.(code);
+                    return;
+                }
+                this.rejectBurst();
+                return;
+            }
+
+            if (event.key.length !== 1) {
+                this.rejectBurst();
+                return;
+            }
+
+            if (withinBurst) {
+                // Keep the rest of the scan out of whatever field has focus
+                event.preventDefault();
+                this.buffer += event.key;
+                clearTimeout(this.flushTimer);
+            } else {
+                this.rejectBurst();
+                this.buffer = event.key;
+                this.burstTarget = this.isTextField(event.target) ? event.target : null;
+                this.valueBefore = this.burstTarget ? this.burstTarget.value : null;
+            }
+
+            this.lastKeyTime = now;
+            // A burst that stops without Enter was typed by a person
+            this.flushTimer = setTimeout(() => this.rejectBurst(), this.options.maxInterval * 2);
+        },
+
+        /**
+         * Types the held-back characters of a burst that was not a scan into
+         * the field it started in, then forgets the burst
+         * @private
+         */
+        rejectBurst() {
+            const held = this.buffer.slice(1);
+            const field = this.burstTarget;
+
+            if (held && field) {
+                if (typeof field.selectionStart === 'number' && typeof field.setRangeText === 'function') {
+                    field.setRangeText(held, field.selectionStart, field.selectionEnd, 'end');
+                } else {
+                    field.value += held;
+                }
+                field.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            this.reset();
+        },
+
+        /**
+         * Removes the first scanned character from the field it was typed into
+         * @private
+         */
+        restoreLeakedInput() {
+            if (this.burstTarget && this.burstTarget.value !== this.valueBefore) {
+                this.burstTarget.value = this.valueBefore;
+                this.burstTarget.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        }
+    };
+
+    // Expose to window object
+    window.ScanCapture = ScanCapture;
+
+})(window);
@@ -0,0 +1,102 @@
+/**
+ * Scan Capture Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runScanCaptureTests() {
+    console.log('\nRunning Scan Capture Tests...\n');
+
+    const ScanCapture = window.ScanCapture;
+
+    // Feeds synthetic keydown events straight to the handler
+    const typeKeys = (keys, { interval = 10, target = null, startAt = 1000 } = {}) => {
+        let time = startAt;
+        const prevented = [];
+        keys.forEach(key => {
+            const event = {
+                key,
+                timeStamp: time,
+                target: target || { tagName: 'BODY' },
+                preventDefault() { prevented.push(key); },
+                stopPropagation() {}
+            };
+            ScanCapture.handleKeydown(event);
+            time += interval;
+        });
+        return prevented;
+    };
+
+    const withScans = (fn) => {
+        const scans = [];
+        ScanCapture.onScan = code => scans.push(code);
+        ScanCapture.options = { minLength: 4, maxInterval: 50, ignoreSelector: null };
+        ScanCapture.reset();
+        fn();
+        return scans;
+    };
+
+    TestRunner.test('Fast burst ending in Enter is reported as a scan', () => {
+        const scans = withScans(() => typeKeys([...'TKT-1234', 'Enter']));
+        TestRunner.assertEqual(JSON.stringify(scans), JSON.stringify(['TKT-1234']));
+    });
+
+    TestRunner.test('Slow typing is not a scan', () => {
+        const scans = withScans(() => typeKeys([...'john', 'Enter'], { interval: 200 }));
+        TestRunner.assertEqual(scans.length, 0);
+    });
+
+    TestRunner.test('Bursts shorter than minLength are ignored', () => {
+        const scans = withScans(() => typeKeys([...'abc', 'Enter']));
+        TestRunner.assertEqual(scans.length, 0);
+    });
+
+    TestRunner.test('Shift keys do not break a burst', () => {
+        const scans = withScans(() => typeKeys(['Shift', 'A', 'Shift', 'B', '1', '2', 'Enter']));
+        TestRunner.assertEqual(JSON.stringify(scans), JSON.stringify(['AB12']));
+    });
+
+    TestRunner.test('A pause starts a new burst', () => {
+        const scans = withScans(() => {
+            typeKeys([...'zz'], { startAt: 0 });
+            typeKeys([...'CODE9', 'Enter'], { startAt: 5000 });
+        });
+        TestRunner.assertEqual(JSON.stringify(scans), JSON.stringify(['CODE9']));
+    });
+
+    TestRunner.test('Keys after the first are kept out of focused fields', () => {
+        let prevented = [];
+        withScans(() => { prevented = typeKeys([...'WXYZ', 'Enter']); });
+        TestRunner.assertEqual(JSON.stringify(prevented), JSON.stringify(['X', 'Y', 'Z', 'Enter']));
+    });
+
+    TestRunner.test('First scanned character is removed from the focused input', () => {
+        const input = { tagName: 'INPUT', type: 'text', value: 'Jo', dispatchEvent() {} };
+        withScans(() => {
+            // The browser inserts the first character before the burst is recognised
+            ScanCapture.handleKeydown({ key: 'Q', timeStamp: 0, target: input, preventDefault() {}, stopPropagation() {} });
+            input.value = 'JoQ';
+            typeKeys([...'123', 'Enter'], { target: input, startAt: 10 });
+        });
+        TestRunner.assertEqual(input.value, 'Jo');
+    });
+
+    TestRunner.test('Held characters of a burst that is not a scan are typed back', () => {
+        let inputs = 0;
+        const input = { tagName: 'INPUT', type: 'text', value: '', dispatchEvent() { inputs++; } };
+        const scans = withScans(() => {
+            ScanCapture.handleKeydown({ key: 'a', timeStamp: 0, target: input, preventDefault() {}, stopPropagation() {} });
+            input.value = 'a';
+            typeKeys([...'bc', 'Enter'], { target: input, startAt: 10 });
+        });
+        TestRunner.assertEqual(scans.length, 0);
+        TestRunner.assertEqual(input.value, 'abc');
+        TestRunner.assertEqual(inputs, 1);
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runScanCaptureTests = runScanCaptureTests;
+}
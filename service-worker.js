@@ -0,0 +1,191 @@
+/**
+ * Service Worker for Event Check-in App
+ * Caches the check-in app shell and the last successfully loaded roster so
+ * door staff can open the check-in screen without a network connection
+ *
+ * Strategies:
+ * - App shell and csv-handler.php reads: network first, cache fallback
+ * - CDN bundles (XLSX, Supabase): cache first
+ * - Roster snapshot: written by the page via postMessage, served from cache
+ */
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `event-checkin-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `event-checkin-data-${CACHE_VERSION}`;
+
+// Virtual URL the page reads the last-known roster from while offline
+const ROSTER_SNAPSHOT_PATH = 'roster-snapshot.json';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'config.js',
+    'data-sources.js',
+    'email-validation.js',
+    'audit-log.js',
+    'attendee-statuses.js',
+    'event-sessions.js',
+    'event-registry.js',
+    'csv-parser.js',
+    'column-mapping.js',
+    'attendee-search.js',
+    'attendee-fields.js',
+    'attendee-match.js',
+    'import-preview.js',
+    'source-migration.js',
+    'scan-capture.js',
+    'ticket-codes.js',
+    'kiosk.js',
+    'badge-printer.js',
+    'badge-print.css',
+    'offline-queue.js',
+    'manifest.webmanifest',
+    'icons/icon.svg'
+];
+
+const CDN_BUNDLES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/qrcode-generator/1.4.4/qrcode.min.js',
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2'
+];
+
+// csv-handler.php read actions worth keeping for offline start-up
+const CACHED_HANDLER_ACTIONS = ['get', 'getcheckins', 'getconfig'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(APP_SHELL);
+
+        // A CDN outage must not prevent the worker from installing
+        await Promise.all(CDN_BUNDLES.map(url =>
+            cache.add(new Request(url, { mode: 'cors' })).catch(error => {
+                console.warn('Service worker: failed to cache', url, error);
+            })
+        ));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, DATA_CACHE];
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('event-checkin-') && !keep.includes(key))
+            .map(key => caches.delete(key)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && url.pathname.endsWith('/' + ROSTER_SNAPSHOT_PATH)) {
+        event.respondWith(readRosterSnapshot());
+        return;
+    }
+
+    if (sameOrigin && url.pathname.endsWith('/csv-handler.php')) {
+        if (CACHED_HANDLER_ACTIONS.includes(url.searchParams.get('action'))) {
+            event.respondWith(networkFirst(request, DATA_CACHE));
+        }
+        return;
+    }
+
+    if (CDN_BUNDLES.includes(request.url)) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+        return;
+    }
+
+    if (request.mode === 'navigate' && sameOrigin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+        return;
+    }
+
+    if (sameOrigin && APP_SHELL.some(path => url.pathname.endsWith('/' + path))) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'CACHE_ROSTER' && Array.isArray(message.attendees)) {
+        event.waitUntil(writeRosterSnapshot(message));
+    }
+});
+
+async function networkFirst(request, cacheName, fallbackPath) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreVary: true });
+        if (cached) {
+            return cached;
+        }
+        if (fallbackPath) {
+            const fallback = await cache.match(fallbackPath);
+            if (fallback) {
+                return fallback;
+            }
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function writeRosterSnapshot(message) {
+    const cache = await caches.open(DATA_CACHE);
+    const body = JSON.stringify({
+        savedAt: message.savedAt || new Date().toISOString(),
+        sourceType: message.sourceType || null,
+        session: message.session || '',
+        eventId: message.eventId || '',
+        attendees: message.attendees
+    });
+
+    await cache.put(ROSTER_SNAPSHOT_PATH, new Response(body, {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+async function readRosterSnapshot() {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(ROSTER_SNAPSHOT_PATH);
+    if (cached) {
+        return cached;
+    }
+
+    return new Response(JSON.stringify({ error: 'No roster snapshot saved' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
@@ -0,0 +1,108 @@
+/**
+ * Source Migration Module
+ * Carries check-ins over when the data source is switched
+ *
+ * Attendees who have arrived (present, or checked out after a visit) in the
+ * old source are matched to attendees of the new source by ID, then email,
+ * then name and table. Matched attendees who have not arrived in the new
+ * source get the old check-in state; ones who have keep their own.
+ * Attendees without a match are reported.
+ *
+ * @module SourceMigration
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Unmatched attendees named in report() before "and N more"
+     */
+    const NAME_LIMIT = 10;
+
+    const hasArrived = attendee => window.AttendeeStatuses.hasArrived(attendee);
+
+    const SourceMigration = {
+        /**
+         * Works out which check-ins can be carried over
+         *
+         * @param {Array<Object>} previous - Attendees of the current source, with check-in state
+         * @param {Array<Object>} next - Attendees of the new source, with check-in state
+         * @param {Object} [options]
+         * @param {string} [options.fromType] - Current source type, named in the activity log
+         * @param {string} [options.session] - Session the check-ins belong to
+         * @returns {{changes: Array<{attendeeId: *, updates: Object, from: Object, to: Object}>,
+         *   alreadyCheckedIn: Array<{from: Object, to: Object}>, unmatched: Array<Object>}}
+         *   changes are ready for updateAttendees() of the new source
+         */
+        plan(previous, next, { fromType = '', session = '' } = {}) {
+            const checkedIn = previous.filter(hasArrived);
+            const { KEYS } = window.AttendeeMatch;
+            const matches = window.AttendeeMatch.match(checkedIn, next, [KEYS.id, KEYS.email, KEYS.nameAndTable]);
+
+            const result = { changes: [], alreadyCheckedIn: [], unmatched: [] };
+
+            checkedIn.forEach(from => {
+                const to = matches.get(from);
+                if (!to) {
+                    result.unmatched.push(from);
+                } else if (hasArrived(to)) {
+                    result.alreadyCheckedIn.push({ from, to });
+                } else {
+                    result.changes.push({
+                        attendeeId: to.id,
+                        updates: {
+                            status: from.status,
+                            checkedInAt: from.checkedInAt || null,
+                            checkedOutAt: from.checkedOutAt || null,
+                            visits: Array.isArray(from.visits) ? from.visits : [],
+                            session: session || undefined,
+                            audit: window.AuditLog.createEntry(window.AuditLog.actionForStatus(from.status), {
+                                attendeeId: to.id,
+                                attendeeName: to.attendeeName,
+                                previousStatus: to.status || 'pending',
+                                newStatus: from.status,
+                                details: fromType ? `Carried over from ${fromType}` : 'Carried over'
+                            })
+                        },
+                        from,
+                        to
+                    });
+                }
+            });
+
+            return result;
+        },
+
+        /**
+         * Text shown to the admin before switching
+         *
+         * @param {Object} plan - Result of plan()
+         * @returns {string}
+         */
+        report(plan) {
+            const total = plan.changes.length + plan.alreadyCheckedIn.length + plan.unmatched.length;
+            if (total === 0) {
+                return 'No attendees are checked in at the current data source.';
+            }
+
+            const lines = [`${total} attendee(s) are checked in at the current data source.`];
+            if (plan.changes.length > 0) {
+                lines.push(`${plan.changes.length} can keep their check-in in the new one.`);
+            }
+            if (plan.alreadyCheckedIn.length > 0) {
+                lines.push(`${plan.alreadyCheckedIn.length} are already checked in there and keep that check-in.`);
+            }
+            if (plan.unmatched.length > 0) {
+                const names = plan.unmatched.slice(0, NAME_LIMIT).map(attendee => attendee.attendeeName || attendee.id);
+                const more = plan.unmatched.length > NAME_LIMIT ? ` and ${plan.unmatched.length - NAME_LIMIT} more` : '';
+                lines.push(`${plan.unmatched.length} have no match in the new data source: ${names.join(', ')}${more}.`);
+            }
+            return lines.join('\n');
+        }
+    };
+
+    // Expose to window object
+    window.SourceMigration = SourceMigration;
+
+})(window);
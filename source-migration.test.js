@@ -0,0 +1,100 @@
+/**
+ * Source Migration Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runSourceMigrationTests() {
+    console.log('\nRunning Source Migration Tests...\n');
+
+    const SourceMigration = window.SourceMigration;
+
+    const t1 = '2026-05-01T18:00:00.000Z';
+    const t2 = '2026-05-01T18:30:00.000Z';
+
+    const previous = () => [
+        { id: 'csv_2', attendeeName: 'Jane Smith', tableNumber: '4', email: 'jane@example.com', status: 'checked-in', checkedInAt: t1, visits: [{ in: t1, out: null }] },
+        { id: 'csv_3', attendeeName: 'Bob Jones', tableNumber: '7', email: '', status: 'checked-out', checkedInAt: t1, checkedOutAt: t2 },
+        { id: 'csv_4', attendeeName: 'Ann Lee', tableNumber: '1', email: '', status: 'pending' }
+    ];
+
+    // Matching
+    TestRunner.test('Matches by ID first', () => {
+        const plan = SourceMigration.plan(previous(), [
+            { id: 'csv_2', attendeeName: 'Jane Smith-Doe', tableNumber: '5', status: 'pending' }
+        ]);
+        TestRunner.assertEqual(plan.changes.length, 1);
+        TestRunner.assertEqual(plan.changes[0].attendeeId, 'csv_2');
+    });
+
+    TestRunner.test('Matches by email regardless of case', () => {
+        const plan = SourceMigration.plan(previous(), [
+            { id: 17, attendeeName: 'J. Smith', tableNumber: '9', email: 'JANE@example.com', status: 'pending' }
+        ]);
+        TestRunner.assertEqual(plan.changes[0].attendeeId, 17);
+    });
+
+    TestRunner.test('Matches by name and table, but not by name alone', () => {
+        const plan = SourceMigration.plan(previous(), [
+            { id: 21, attendeeName: 'bob  JONES', tableNumber: '7', status: 'pending' },
+            { id: 22, attendeeName: 'Jane Smith', tableNumber: '8', status: 'pending' }
+        ]);
+        TestRunner.assertEqual(JSON.stringify(plan.changes.map(change => change.attendeeId)), JSON.stringify([21]));
+        TestRunner.assertEqual(JSON.stringify(plan.unmatched.map(attendee => attendee.id)), JSON.stringify(['csv_2']));
+    });
+
+    // Carrying over
+    TestRunner.test('Carries the status, times and visits over', () => {
+        const plan = SourceMigration.plan(previous(), [
+            { id: 21, attendeeName: 'Bob Jones', tableNumber: '7', status: 'pending' }
+        ]);
+        const { updates } = plan.changes[0];
+        TestRunner.assertEqual(updates.status, 'checked-out');
+        TestRunner.assertEqual(updates.checkedInAt, t1);
+        TestRunner.assertEqual(updates.checkedOutAt, t2);
+        TestRunner.assertEqual(JSON.stringify(updates.visits), '[]');
+    });
+
+    TestRunner.test('Logs each carried check-in with its source', () => {
+        const plan = SourceMigration.plan(previous(), [
+            { id: 17, attendeeName: 'Jane Smith', tableNumber: '4', email: 'jane@example.com', status: 'pending' }
+        ], { fromType: 'csv', session: 'day-1' });
+        const { updates } = plan.changes[0];
+        TestRunner.assertEqual(updates.session, 'day-1');
+        TestRunner.assertEqual(updates.audit.action, 'check-in');
+        TestRunner.assertEqual(updates.audit.attendeeId, 17);
+        TestRunner.assertEqual(updates.audit.details, 'Carried over from csv');
+    });
+
+    TestRunner.test('Keeps check-ins the new source already has', () => {
+        const plan = SourceMigration.plan(previous(), [
+            { id: 17, attendeeName: 'Jane Smith', tableNumber: '4', email: 'jane@example.com', status: 'checked-in', checkedInAt: t2 }
+        ]);
+        TestRunner.assertEqual(plan.changes.length, 0);
+        TestRunner.assertEqual(plan.alreadyCheckedIn[0].to.id, 17);
+    });
+
+    TestRunner.test('Ignores pending attendees of the current source', () => {
+        const plan = SourceMigration.plan(previous(), []);
+        TestRunner.assertEqual(JSON.stringify(plan.unmatched.map(attendee => attendee.id)), JSON.stringify(['csv_2', 'csv_3']));
+    });
+
+    // Reporting
+    TestRunner.test('Reports what can be carried over and what has no match', () => {
+        const plan = SourceMigration.plan(previous(), [
+            { id: 21, attendeeName: 'Bob Jones', tableNumber: '7', status: 'pending' }
+        ]);
+        TestRunner.assertEqual(SourceMigration.report(plan), [
+            '2 attendee(s) are checked in at the current data source.',
+            '1 can keep their check-in in the new one.',
+            '1 have no match in the new data source: Jane Smith.'
+        ].join('\n'));
+        TestRunner.assertEqual(SourceMigration.report(SourceMigration.plan([], [])), 'No attendees are checked in at the current data source.');
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runSourceMigrationTests = runSourceMigrationTests;
+}
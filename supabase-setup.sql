@@ -1,16 +1,46 @@
 -- Supabase Setup SQL for Event Check-in App
 -- Copy and paste this SQL into your Supabase SQL Editor
+-- Already set up? Run only the "Upgrading an existing database" block at the end
+
+-- Events: one deployment can hold several, each with its own attendees
+CREATE TABLE events (
+    id BIGSERIAL PRIMARY KEY,
+    event_name TEXT NOT NULL,
+    event_subtitle TEXT,
+    event_date DATE,
+    event_time TIME,
+    event_location TEXT,
+    primary_color TEXT DEFAULT '#5ac1ee',
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('draft', 'active', 'completed', 'cancelled', 'archived')),
+    settings JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on events" ON events
+FOR ALL USING (true);
 
 -- Create the html_attendees table
 CREATE TABLE html_attendees (
     id SERIAL PRIMARY KEY,
+    event_id BIGINT REFERENCES events(id) ON DELETE CASCADE, -- NULL in single-event setups
     table_number TEXT,
     group_name TEXT,
     attendee_name TEXT,
     ticket_type TEXT,
+    ticket_code TEXT,
+    email TEXT,
+    additional_info TEXT,
+    is_walk_in BOOLEAN DEFAULT false,
     status TEXT DEFAULT 'pending',
     checked_in_at TIMESTAMPTZ,
+    checked_out_at TIMESTAMPTZ,
+    visits JSONB DEFAULT '[]'::jsonb, -- [{ "in": ..., "out": ... }] per stay, for re-entries
     row_index INTEGER,
+    external_id TEXT, -- ID column of the imported file; imports match attendees on it
+    removed_at TIMESTAMPTZ, -- Set when an import no longer lists the attendee; hidden but check-ins kept
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -20,6 +50,9 @@ CREATE INDEX idx_html_attendees_name ON html_attendees(attendee_name);
 CREATE INDEX idx_html_attendees_status ON html_attendees(status);
 CREATE INDEX idx_html_attendees_table ON html_attendees(table_number);
 CREATE INDEX idx_html_attendees_group ON html_attendees(group_name);
+CREATE INDEX idx_html_attendees_ticket_code ON html_attendees(ticket_code);
+CREATE INDEX idx_html_attendees_event ON html_attendees(event_id);
+CREATE INDEX idx_html_attendees_external_id ON html_attendees(event_id, external_id);
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE html_attendees ENABLE ROW LEVEL SECURITY;
@@ -53,6 +86,79 @@ SELECT
 FROM html_attendees 
 GROUP BY status;
 
+-- Broadcast inserts, updates and deletes to connected check-in tablets
+ALTER PUBLICATION supabase_realtime ADD TABLE html_attendees;
+
+-- Per-session check-in state for multi-session events (the attendee row keeps the event-wide state)
+CREATE TABLE session_checkins (
+    id BIGSERIAL PRIMARY KEY,
+    attendee_id INTEGER NOT NULL REFERENCES html_attendees(id) ON DELETE CASCADE,
+    session_id TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    checked_in_at TIMESTAMPTZ,
+    checked_out_at TIMESTAMPTZ,
+    visits JSONB DEFAULT '[]'::jsonb,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (attendee_id, session_id)
+);
+
+CREATE INDEX idx_session_checkins_session ON session_checkins(session_id, status);
+
+ALTER TABLE session_checkins ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on session_checkins" ON session_checkins
+FOR ALL USING (true);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE session_checkins;
+
+-- Reset every check-in of one event (p_event_id NULL resets the whole table), sessions included
+CREATE OR REPLACE FUNCTION reset_all_event_checkins(p_event_id BIGINT DEFAULT NULL)
+RETURNS TABLE (reset_count INTEGER) AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    DELETE FROM session_checkins
+    WHERE attendee_id IN (
+        SELECT id FROM html_attendees WHERE p_event_id IS NULL OR event_id = p_event_id
+    );
+
+    UPDATE html_attendees
+    SET status = 'pending', checked_in_at = NULL, checked_out_at = NULL, visits = '[]'::jsonb
+    WHERE (p_event_id IS NULL OR event_id = p_event_id)
+      AND (status <> 'pending' OR checked_in_at IS NOT NULL OR checked_out_at IS NOT NULL);
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN QUERY SELECT v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Audit trail: one row per check-in, check-out, undo, other status change, walk-in, edit or reset
+CREATE TABLE check_in_log (
+    id BIGSERIAL PRIMARY KEY,
+    attendee_id INTEGER REFERENCES html_attendees(id) ON DELETE SET NULL,
+    attendee_name TEXT,
+    action TEXT NOT NULL CHECK (action IN ('check-in', 'check-out', 'undo', 'status', 'walk-in', 'edit', 'reset')),
+    previous_status TEXT,
+    new_status TEXT,
+    details TEXT,
+    device_name TEXT,
+    operator TEXT,
+    performed_at TIMESTAMPTZ DEFAULT NOW(),
+    user_agent TEXT
+);
+
+CREATE INDEX idx_check_in_log_attendee ON check_in_log(attendee_id);
+CREATE INDEX idx_check_in_log_performed_at ON check_in_log(performed_at);
+
+ALTER TABLE check_in_log ENABLE ROW LEVEL SECURITY;
+
+-- The log is append-only: devices may insert and read entries but never change them
+CREATE POLICY "Allow inserts on check_in_log" ON check_in_log
+FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow reads on check_in_log" ON check_in_log
+FOR SELECT USING (true);
+
 -- Grant necessary permissions (adjust as needed for your security requirements)
 -- GRANT ALL ON html_attendees TO authenticated;
 -- GRANT ALL ON html_attendees TO anon;
@@ -65,3 +171,17 @@ GROUP BY status;
 
 -- Verify the table was created successfully
 SELECT 'Table created successfully' as status, COUNT(*) as total_rows FROM html_attendees;
+
+-- Upgrading an existing database
+-- Adds the columns and indexes that roster imports (Admin -> Supabase -> Import)
+-- rely on. Safe to run more than once. The external ID index needs event_id,
+-- so databases from before multi-event support need the events table and the
+-- event_id column from the setup above first.
+ALTER TABLE html_attendees ADD COLUMN IF NOT EXISTS ticket_code TEXT;
+ALTER TABLE html_attendees ADD COLUMN IF NOT EXISTS email TEXT;
+ALTER TABLE html_attendees ADD COLUMN IF NOT EXISTS additional_info TEXT;
+ALTER TABLE html_attendees ADD COLUMN IF NOT EXISTS external_id TEXT;
+ALTER TABLE html_attendees ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_html_attendees_ticket_code ON html_attendees(ticket_code);
+CREATE INDEX IF NOT EXISTS idx_html_attendees_external_id ON html_attendees(event_id, external_id);
@@ -7,6 +7,14 @@
  * - Statistics updates
  * - Search and filtering
  * - Real-time sync
+ * - Incremental list updates on poll
+ * - Walk-in registration
+ * - Group check-in
+ * - Ticket scanning
+ * - Self-service kiosk
+ * - Configured statuses
+ * - Check-out and on-site headcount
+ * - Per-session check-in
  *
  * Run with: npx playwright test tests/check-in.spec.js
  */
@@ -140,6 +148,143 @@ test.describe('Check-in Interface', () => {
         await expect(pendingTab).toHaveClass(/active/);
     });
 
+    test('should add a tab and stat for each configured status', async ({ page }) => {
+        const record = {
+            id: -3001,
+            table_number: '97',
+            group_name: 'Status Test',
+            attendee_name: 'Status Guest',
+            ticket_type: 'VIP',
+            status: 'vip-arrived',
+            checked_in_at: new Date().toISOString(),
+            row_index: 9100
+        };
+
+        const checkedInBefore = Number(await page.locator('#checkedInCount').textContent());
+
+        await page.evaluate((newRecord) => {
+            window.EventCheckinConfig.statuses = [
+                ...window.AttendeeStatuses.DEFAULTS,
+                { id: 'vip-arrived', label: 'VIP Arrived', color: '#f59e0b', present: true },
+                { id: 'no-show', label: 'No-show', color: '#ef4444', present: false }
+            ];
+            window.handleRealtimeUpdate({ eventType: 'INSERT', new: newRecord, old: {} });
+        }, record);
+
+        // Present statuses count as checked in
+        await expect(page.locator('#checkedInCount')).toHaveText(String(checkedInBefore + 1));
+        // Checked Out, VIP Arrived and No-show
+        await expect(page.locator('#statusStats .compact-stat')).toHaveCount(3);
+
+        const vipTab = page.locator('button.tab-button').filter({ hasText: 'VIP Arrived' });
+        await vipTab.click();
+        await expect(vipTab).toHaveClass(/active/);
+
+        const row = page.locator('[data-attendee-id="-3001"]');
+        await expect(row.locator('.status-badge')).toHaveText('VIP Arrived');
+        await expect(row.locator('.status-select')).toHaveValue('vip-arrived');
+        await expect(row.locator('.check-button')).toHaveText('Undo');
+
+        await page.evaluate((id) => {
+            window.handleRealtimeUpdate({ eventType: 'DELETE', new: {}, old: { id } });
+        }, record.id);
+    });
+
+    test('should check out and back in, keeping the on-site count and visits', async ({ page }) => {
+        const record = {
+            id: -3101,
+            table_number: '96',
+            group_name: 'Check-out Test',
+            attendee_name: 'Leaving Guest',
+            ticket_type: 'General',
+            status: 'checked-in',
+            checked_in_at: new Date().toISOString(),
+            row_index: 9200
+        };
+
+        await page.evaluate((newRecord) => {
+            window.handleRealtimeUpdate({ eventType: 'INSERT', new: newRecord, old: {} });
+        }, record);
+
+        const onSiteBefore = Number(await page.locator('#onSiteCount').textContent());
+        const checkedInBefore = Number(await page.locator('#checkedInCount').textContent());
+
+        await page.locator('button.tab-button').filter({ hasText: 'Checked In' }).click();
+        await page.locator('[data-attendee-id="-3101"] .check-out-button').click();
+
+        // Left the building, but still counted as arrived
+        await expect(page.locator('#onSiteCount')).toHaveText(String(onSiteBefore - 1));
+        await expect(page.locator('#onSiteBadge')).toHaveText(`${onSiteBefore - 1} on site`);
+        await expect(page.locator('#checkedInCount')).toHaveText(String(checkedInBefore));
+
+        await page.locator('button.tab-button').filter({ hasText: 'Checked Out' }).click();
+        const row = page.locator('[data-attendee-id="-3101"]');
+        await expect(row.locator('.attendee-visit-times')).toContainText('Out');
+
+        // Re-entry starts a second visit
+        await row.locator('.check-button').click();
+        await expect(page.locator('#onSiteCount')).toHaveText(String(onSiteBefore));
+        const visits = await page.evaluate(() => window.attendees.find(a => a.id === -3101).visits);
+        expect(visits).toHaveLength(2);
+        expect(visits[0].out).toBeTruthy();
+        expect(visits[1].out).toBeNull();
+
+        await page.evaluate((id) => {
+            window.handleRealtimeUpdate({ eventType: 'DELETE', new: {}, old: { id } });
+        }, record.id);
+    });
+
+    test('should show the session picker and apply session check-ins', async ({ page }) => {
+        const record = {
+            id: -3201,
+            table_number: '95',
+            group_name: 'Session Test',
+            attendee_name: 'Session Guest',
+            ticket_type: 'General',
+            status: 'checked-in',
+            checked_in_at: new Date().toISOString(),
+            row_index: 9300
+        };
+
+        await expect(page.locator('#sessionPicker')).toBeHidden();
+
+        await page.evaluate(() => {
+            window.EventCheckinConfig.sessions = [{ id: 'day-1', name: 'Day 1' }, { id: 'gala', name: 'Gala Dinner' }];
+            window.renderSessionPicker();
+        });
+        await expect(page.locator('#sessionPicker')).toBeVisible();
+        await expect(page.locator('#sessionPicker option')).toHaveCount(3);
+
+        // Pretend the gala session is loaded, with no check-ins yet
+        await page.evaluate((newRecord) => {
+            const source = window.DataSourceManager.getCurrentSource();
+            source.sessionStatesFor = 'gala';
+            source.sessionStates = new Map();
+            window.handleRealtimeUpdate({ eventType: 'INSERT', new: newRecord, old: {} });
+        }, record);
+
+        // Checked in for the event, but not for the gala yet
+        const row = page.locator('[data-attendee-id="-3201"]');
+        await page.locator('button.tab-button').filter({ hasText: 'Pending' }).click();
+        await expect(row).toBeVisible();
+
+        await page.evaluate((id) => {
+            window.DataSourceManager.getCurrentSource().handleSessionRealtimeUpdate({
+                eventType: 'INSERT',
+                new: { attendee_id: id, session_id: 'gala', status: 'checked-in', checked_in_at: new Date().toISOString(), visits: [] },
+                old: {}
+            });
+        }, record.id);
+        await page.locator('button.tab-button').filter({ hasText: 'Checked In' }).click();
+        await expect(row).toBeVisible();
+
+        await page.evaluate((id) => {
+            const source = window.DataSourceManager.getCurrentSource();
+            source.sessionStatesFor = '';
+            window.handleRealtimeUpdate({ eventType: 'DELETE', new: {}, old: { id } });
+        }, record.id);
+    });
+
     test('should persist check-in to database', async ({ page }) => {
         // Check in an attendee
         const firstCard = page.locator('.attendee-item').first();
@@ -164,6 +309,215 @@ test.describe('Check-in Interface', () => {
         await expect(attendeeCard).toHaveClass(/checked-in/);
     });
 
+    test('should patch only changed rows when polled data arrives', async ({ page }) => {
+        const result = await page.evaluate(() => {
+            const list = document.getElementById('attendeeList');
+            const rows = Array.from(list.querySelectorAll('.attendee-item'));
+            const [first, second] = rows;
+
+            // Identical data: nothing is re-rendered
+            const unchanged = window.handleDataSourceUpdate(window.attendees.map(a => ({ ...a })));
+
+            // One renamed attendee: only that row is replaced
+            const data = window.attendees.map(a => ({ ...a }));
+            const target = data.find(a => String(a.id) === second.dataset.attendeeId);
+            target.attendeeName = `${target.attendeeName} (updated)`;
+            const changed = window.handleDataSourceUpdate(data);
+
+            return {
+                rowCount: rows.length,
+                unchangedCount: unchanged.changed.length,
+                changedCount: changed.changed.length,
+                firstKept: first.isConnected,
+                secondReplaced: !second.isConnected,
+                updatedText: list.querySelector(`[data-attendee-id="${CSS.escape(second.dataset.attendeeId)}"]`)?.textContent || ''
+            };
+        });
+
+        expect(result.rowCount).toBeGreaterThan(1);
+        expect(result.unchangedCount).toBe(0);
+        expect(result.changedCount).toBe(1);
+        expect(result.firstKept).toBe(true);
+        expect(result.secondReplaced).toBe(true);
+        expect(result.updatedText).toContain('(updated)');
+    });
+
+    test('should apply real-time inserts and deletes', async ({ page }) => {
+        const walkIn = {
+            id: -1001,
+            table_number: '99',
+            group_name: 'Walk-ins',
+            attendee_name: 'Realtime Walk-in',
+            ticket_type: 'General',
+            email: 'walkin@example.com',
+            additional_info: 'Vegetarian',
+            status: 'pending',
+            checked_in_at: null,
+            row_index: 9999
+        };
+
+        await page.evaluate((record) => {
+            window.handleRealtimeUpdate({ eventType: 'INSERT', new: record, old: {} });
+        }, walkIn);
+
+        const row = page.locator('[data-attendee-id="-1001"]');
+        await expect(row).toContainText('Realtime Walk-in');
+
+        // No fields are lost when the record is rebuilt
+        const inserted = await page.evaluate(() => window.attendees.find(a => a.id === -1001));
+        expect(inserted.email).toBe('walkin@example.com');
+        expect(inserted.additionalInfo).toBe('Vegetarian');
+
+        await page.evaluate(() => {
+            window.handleRealtimeUpdate({ eventType: 'DELETE', new: {}, old: { id: -1001 } });
+        });
+
+        await expect(row).toHaveCount(0);
+    });
+
+    test('should list everyone in the party for group check-in', async ({ page }) => {
+        const party = [-2001, -2002, -2003].map((id, index) => ({
+            id,
+            table_number: '98',
+            group_name: 'Party Test',
+            attendee_name: `Party Guest ${index + 1}`,
+            ticket_type: 'General',
+            status: index === 2 ? 'checked-in' : 'pending',
+            checked_in_at: null,
+            row_index: 9000 + index
+        }));
+
+        await page.evaluate((records) => {
+            records.forEach(record => window.handleRealtimeUpdate({ eventType: 'INSERT', new: record, old: {} }));
+        }, party);
+
+        await page.locator('[data-attendee-id="-2001"] .party-button').click();
+
+        const modal = page.locator('.party-modal');
+        await expect(modal.locator('.party-member')).toHaveCount(3);
+
+        // Pending members are preselected, already checked-in members are locked
+        await expect(modal.locator('input:checked:not(:disabled)')).toHaveCount(2);
+        await expect(modal.locator('input:disabled')).toHaveCount(1);
+        await expect(page.locator('#partyCheckInButton')).toHaveText('Check In 2 Selected');
+
+        await page.keyboard.press('Escape');
+        await expect(modal).toHaveCount(0);
+
+        await page.evaluate((ids) => {
+            ids.forEach(id => window.handleRealtimeUpdate({ eventType: 'DELETE', new: {}, old: { id } }));
+        }, party.map(record => record.id));
+    });
+
+    test('should check in scanned tickets and flag duplicates and unknown codes', async ({ page }) => {
+        const guest = {
+            id: -3001,
+            table_number: '97',
+            group_name: 'Scanner Test',
+            attendee_name: 'Scanned Guest',
+            ticket_type: 'General',
+            ticket_code: 'TKT-SCAN-001',
+            status: 'pending',
+            checked_in_at: null,
+            row_index: 9500
+        };
+
+        await page.evaluate((record) => {
+            window.handleRealtimeUpdate({ eventType: 'INSERT', new: record, old: {} });
+        }, guest);
+
+        await page.click('#scanModeButton');
+        const feedback = page.locator('#scanFeedback');
+        await expect(feedback).toHaveClass(/ready/);
+
+        // Scanners type the code in a fast burst followed by Enter
+        await page.keyboard.type('TKT-SCAN-001', { delay: 5 });
+        await page.keyboard.press('Enter');
+        await expect(feedback).toHaveClass(/success/);
+        await expect(feedback).toContainText('Scanned Guest');
+
+        await page.keyboard.type('TKT-SCAN-001', { delay: 5 });
+        await page.keyboard.press('Enter');
+        await expect(feedback).toHaveClass(/duplicate/);
+
+        await page.keyboard.type('NOPE-404', { delay: 5 });
+        await page.keyboard.press('Enter');
+        await expect(feedback).toHaveClass(/unknown/);
+
+        await page.click('#scanModeButton');
+        await page.evaluate(() => {
+            window.handleRealtimeUpdate({ eventType: 'DELETE', new: {}, old: { id: -3001 } });
+        });
+    });
+
+    test('should let kiosk guests check themselves in and require the PIN to leave', async ({ page }) => {
+        const guest = {
+            id: -4001,
+            table_number: '4',
+            group_name: 'Kiosk Test',
+            attendee_name: 'Kiosk Guestperson',
+            ticket_type: 'General',
+            status: 'pending',
+            checked_in_at: null,
+            row_index: 9600
+        };
+
+        await page.route('**/csv-handler.php?action=verifyadminpassword', route => {
+            const { password } = JSON.parse(route.request().postData() || '{}');
+            route.fulfill({ json: { hasPassword: true, valid: password === '2468' } });
+        });
+
+        await page.evaluate(async (record) => {
+            window.handleRealtimeUpdate({ eventType: 'INSERT', new: record, old: {} });
+            await window.enterKioskMode();
+        }, guest);
+
+        // The list and staff controls are hidden
+        await expect(page.locator('#kioskScreen')).toBeVisible();
+        await expect(page.locator('#settingsToggle')).toBeHidden();
+        await expect(page.locator('#attendeeList')).toBeHidden();
+
+        await page.fill('#kioskQuery', 'guestperson');
+        await page.keyboard.press('Enter');
+        await expect(page.locator('#kioskContent')).toContainText('K. Gu***, Table 4');
+        await expect(page.locator('#kioskContent')).not.toContainText('Kiosk Guestperson');
+
+        await page.click('#kioskConfirmButton');
+        await expect(page.locator('#kioskContent')).toContainText("You're checked in!");
+
+        await page.click('.kiosk-unlock');
+        await page.fill('#kioskPin', '0000');
+        await page.keyboard.press('Enter');
+        await expect(page.locator('#kioskPinError')).toHaveText('Incorrect PIN');
+
+        await page.fill('#kioskPin', '2468');
+        await page.keyboard.press('Enter');
+        await expect(page.locator('#kioskScreen')).toBeHidden();
+        await expect(page.locator('#settingsToggle')).toBeVisible();
+
+        await page.evaluate(() => {
+            window.handleRealtimeUpdate({ eventType: 'DELETE', new: {}, old: { id: -4001 } });
+        });
+    });
+
+    test('should validate walk-in email before creating the attendee', async ({ page }) => {
+        await page.click('#walkInButton');
+
+        const form = page.locator('#walkInForm');
+        await expect(form).toBeVisible();
+
+        await form.locator('input[name="attendeeName"]').fill('Door Walk-in');
+        await form.locator('input[name="email"]').fill('not-an-email');
+        await form.locator('button[type="submit"]').click();
+
+        // Invalid email keeps the form open with an error
+        await expect(form.locator('.walkin-error')).not.toBeEmpty();
+        await expect(form).toBeVisible();
+
+        await page.keyboard.press('Escape');
+        await expect(form).toHaveCount(0);
+    });
+
     test('should display data source indicator', async ({ page }) => {
         // Verify data source indicator shows SUPABASE
         const indicator = page.locator('#dataSourceIndicator');
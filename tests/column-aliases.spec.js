@@ -0,0 +1,52 @@
+/**
+ * Column Alias Tests
+ *
+ * csv-handler.php keeps its own copy of the header aliases and positional
+ * layout of column-mapping.js so uploads are read the same way on the server
+ * as in the import preview. These tests read both files (no browser needed)
+ * and fail when the copies drift apart.
+ *
+ * Run with: npx playwright test tests/column-aliases.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// window.ColumnMapping, evaluated outside the browser
+function loadColumnMapping() {
+    const window = {};
+    vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'column-mapping.js'), 'utf8'), { window });
+    return window.ColumnMapping;
+}
+
+// A top-level PHP array literal ($name = [ ... ];) as [key, value] pairs, in order
+function readPhpArray(name) {
+    const php = fs.readFileSync(path.join(ROOT, 'csv-handler.php'), 'utf8');
+    const block = php.match(new RegExp(`\\$${name} = \\[\\n([\\s\\S]*?)\\n\\];`));
+    expect(block, `$${name} not found in csv-handler.php`).not.toBeNull();
+
+    return block[1].split('\n').map(line => {
+        const [, key, value] = line.match(/^\s*'(\w+)' => (.+?),?\s*$/);
+        return [key, value.startsWith('[') ? [...value.matchAll(/'([^']*)'/g)].map(match => match[1]) : Number(value)];
+    });
+}
+
+test.describe('Column aliases', () => {
+
+    test('csv-handler.php has the same aliases as column-mapping.js, in the same order', () => {
+        const { ALIASES, FIELDS } = loadColumnMapping();
+        const jsAliases = FIELDS.map(({ key }) => [key, ALIASES[key]]);
+
+        expect(readPhpArray('COLUMN_ALIASES')).toEqual(JSON.parse(JSON.stringify(jsAliases)));
+    });
+
+    test('csv-handler.php has the same positional layout as column-mapping.js', () => {
+        const { DEFAULT_LAYOUT } = loadColumnMapping();
+
+        expect(readPhpArray('DEFAULT_COLUMN_LAYOUT')).toEqual(Object.entries(DEFAULT_LAYOUT));
+    });
+});
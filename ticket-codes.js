@@ -0,0 +1,135 @@
+/**
+ * Ticket Codes Module
+ * Stable per-attendee tokens for QR tickets
+ *
+ * An attendee's token is their imported ticket code when they have one.
+ * Otherwise it is derived from their imported registration ID (externalId),
+ * and failing that from their name, email and ticket type. Attendee IDs are
+ * not used: uploaded CSV rows are numbered by position, so sorting the file
+ * or inserting a row would hand a printed QR code to someone else. Tokens stay
+ * the same across re-imports, data source switches and devices, and the admin
+ * dashboard and the check-in screen compute them independently. Attendees
+ * with identical details get a numbered suffix in list order.
+ *
+ * @module TicketCodes
+ * @version 1.0.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Prefix of generated tokens, so they never clash with imported codes or IDs
+     */
+    const PREFIX = 'EC-';
+
+    const TicketCodes = {
+        PREFIX,
+
+        /**
+         * Normalizes a scanned or typed code for comparison
+         *
+         * @param {string} code
+         * @returns {string} Trimmed, uppercase code
+         */
+        normalize(code) {
+            return String(code ?? '').trim().toUpperCase();
+        },
+
+        /**
+         * FNV-1a hash of normalized identity fields, in base 36
+         *
+         * Also builds Google Sheets attendee IDs, so changing it changes those IDs.
+         *
+         * @param {Array<*>} parts - Values to hash; case and spacing are ignored
+         * @returns {string}
+         */
+        hash(parts) {
+            const key = parts
+                .map(part => (part || '').toString().toLowerCase().replace(/\s+/g, ' ').trim())
+                .join('|');
+
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < key.length; i++) {
+                hash ^= key.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+
+            return (hash >>> 0).toString(36);
+        },
+
+        /**
+         * Token of one attendee, ignoring duplicates elsewhere in the list
+         *
+         * @param {Object} attendee - Attendee record
+         * @returns {string} Ticket code, or a generated EC- token
+         *
+         * @example
+         * TicketCodes.baseToken({ attendeeName: 'Jo Smith', email: 'jo@example.com' }) // returns e.g. 'EC-1K3ZQ7B'
+         */
+        baseToken(attendee) {
+            if (attendee.ticketCode) {
+                return this.normalize(attendee.ticketCode);
+            }
+            if (attendee.externalId) {
+                return PREFIX + this.hash(['external', attendee.externalId]).toUpperCase();
+            }
+            return PREFIX + this.hash([attendee.attendeeName, attendee.email, attendee.ticketType]).toUpperCase();
+        },
+
+        /**
+         * Assigns tokens to a whole attendee list
+         *
+         * @param {Array<Object>} attendees - Attendee records, in data source order
+         * @returns {{tokens: Map<Object, string>, duplicates: Array<string>}}
+         *   Token per attendee, and imported ticket codes used by more than one attendee
+         */
+        assignTokens(attendees) {
+            const tokens = new Map();
+            const counts = new Map();
+            const duplicates = new Set();
+
+            attendees.forEach(attendee => {
+                const base = this.baseToken(attendee);
+                const count = (counts.get(base) || 0) + 1;
+                counts.set(base, count);
+
+                if (count > 1 && attendee.ticketCode) {
+                    // Imported codes are printed elsewhere too, so they are reported rather than renamed
+                    duplicates.add(base);
+                    tokens.set(attendee, base);
+                } else {
+                    tokens.set(attendee, count === 1 ? base : `${base}-${count}`);
+                }
+            });
+
+            return { tokens, duplicates: [...duplicates] };
+        },
+
+        /**
+         * Finds the attendee a scanned code belongs to
+         *
+         * Matches the token (ticket code or generated), then the imported
+         * registration ID.
+         *
+         * @param {Array<Object>} attendees - Attendee records, in data source order
+         * @param {string} code - Scanned code
+         * @returns {Object|null} Matching attendee
+         */
+        find(attendees, code) {
+            const wanted = this.normalize(code);
+            if (!wanted) {
+                return null;
+            }
+
+            const { tokens } = this.assignTokens(attendees);
+            return attendees.find(attendee => tokens.get(attendee) === wanted) ||
+                attendees.find(attendee => attendee.externalId && this.normalize(attendee.externalId) === wanted) ||
+                null;
+        }
+    };
+
+    // Expose to window object
+    window.TicketCodes = TicketCodes;
+
+})(window);
@@ -0,0 +1,73 @@
+/**
+ * Ticket Codes Test Suite
+ * Uses the TestRunner defined in email-validation.test.js
+ */
+
+function runTicketCodesTests() {
+    console.log('\nRunning Ticket Codes Tests...\n');
+
+    const TicketCodes = window.TicketCodes;
+    const jo = { id: 'a1', attendeeName: 'Jo Smith', email: 'jo@example.com', ticketType: 'VIP' };
+
+    // Tokens
+    TestRunner.test('Imported ticket code is the token', () => {
+        TestRunner.assertEqual(TicketCodes.baseToken({ ...jo, ticketCode: ' tkt-42 ' }), 'TKT-42');
+    });
+
+    TestRunner.test('Generated token is prefixed and repeatable', () => {
+        const token = TicketCodes.baseToken(jo);
+        TestRunner.assert(token.startsWith('EC-'), 'token should start with EC-');
+        TestRunner.assertEqual(TicketCodes.baseToken({ ...jo }), token);
+    });
+
+    TestRunner.test('Generated token does not depend on the attendee ID', () => {
+        TestRunner.assertEqual(TicketCodes.baseToken({ ...jo, id: 'csv_7' }), TicketCodes.baseToken(jo));
+        TestRunner.assert(TicketCodes.baseToken(jo) !== TicketCodes.baseToken({ ...jo, attendeeName: 'Pat Lee' }),
+            'tokens should differ');
+    });
+
+    TestRunner.test('Registration ID token survives corrected names and emails', () => {
+        const registered = { ...jo, externalId: 'R-100' };
+        const corrected = { ...registered, id: 'csv_9', attendeeName: 'Joanne Smith', email: 'joanne@example.com' };
+        TestRunner.assertEqual(TicketCodes.baseToken(corrected), TicketCodes.baseToken(registered));
+        TestRunner.assert(TicketCodes.baseToken(registered) !== TicketCodes.baseToken(jo), 'tokens should differ');
+    });
+
+    TestRunner.test('Attendees with identical details are numbered in list order', () => {
+        const twin = { ...jo, id: 'a2' };
+        const { tokens, duplicates } = TicketCodes.assignTokens([jo, twin]);
+        TestRunner.assertEqual(tokens.get(twin), `${tokens.get(jo)}-2`);
+        TestRunner.assertEqual(duplicates.length, 0);
+    });
+
+    TestRunner.test('Shared imported codes are reported, not renamed', () => {
+        const first = { ...jo, ticketCode: 'T1' };
+        const second = { ...jo, id: 'a2', attendeeName: 'Pat Lee', ticketCode: 't1' };
+        const { tokens, duplicates } = TicketCodes.assignTokens([first, second]);
+        TestRunner.assertEqual(tokens.get(second), 'T1');
+        TestRunner.assertEqual(JSON.stringify(duplicates), JSON.stringify(['T1']));
+    });
+
+    // Lookup
+    TestRunner.test('Finds attendees by token, ticket code or registration ID, not by row ID', () => {
+        const pat = { id: 'a2', attendeeName: 'Pat Lee', ticketCode: 'T2' };
+        const sam = { id: 'a3', attendeeName: 'Sam Door', externalId: 'R-7' };
+        const list = [jo, pat, sam];
+        TestRunner.assertEqual(TicketCodes.find(list, TicketCodes.baseToken(jo).toLowerCase()), jo);
+        TestRunner.assertEqual(TicketCodes.find(list, 't2'), pat);
+        TestRunner.assertEqual(TicketCodes.find(list, 'r-7'), sam);
+        TestRunner.assertEqual(TicketCodes.find(list, 'A1'), null);
+    });
+
+    TestRunner.test('Unknown or empty codes find nobody', () => {
+        TestRunner.assertEqual(TicketCodes.find([jo], 'nope'), null);
+        TestRunner.assertEqual(TicketCodes.find([jo], '  '), null);
+    });
+
+    return TestRunner.printSummary();
+}
+
+// Export for use in HTML test page
+if (typeof window !== 'undefined') {
+    window.runTicketCodesTests = runTicketCodesTests;
+}